@@ -5,10 +5,38 @@ const dotenv = require('dotenv');
 const ora = require('ora');
 const chalk = require('chalk');
 const path = require('path');
+const fs = require('fs');
 const MarketoClient = require('./lib/marketo-client');
+const { PRESETS, transformExport } = require('./lib/transform');
+const { checkExportLinks } = require('./lib/link-checker');
+const { loadSampleData, preparePreviewHtml, sampleDataForEmail } = require('./lib/preview');
+const ScreenshotRenderer = require('./lib/screenshots');
+const { lintExport } = require('./lib/lint');
 
 dotenv.config();
 
+function createClient() {
+    // Validate environment variables
+    const requiredEnvVars = [
+        'MARKETO_CLIENT_ID',
+        'MARKETO_CLIENT_SECRET',
+        'MARKETO_IDENTITY_URL',
+        'MARKETO_REST_URL'
+    ];
+
+    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    if (missingVars.length > 0) {
+        throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+    }
+
+    return new MarketoClient({
+        clientId: process.env.MARKETO_CLIENT_ID,
+        clientSecret: process.env.MARKETO_CLIENT_SECRET,
+        identityUrl: process.env.MARKETO_IDENTITY_URL,
+        restUrl: process.env.MARKETO_REST_URL
+    });
+}
+
 program
     .name('marketo-export')
     .description('Export Marketo email templates')
@@ -16,44 +44,94 @@ program
 
 program
     .command('export')
-    .description('Export all Marketo email templates')
+    .description('Export Marketo assets (emails by default)')
     .option('-o, --output <directory>', 'Output directory', './marketo-exports')
     .option('-z, --zip', 'Create ZIP archive of exports')
+    .option('--types <types>', 'Comma-separated asset types to export (emails, emailTemplates, landingPages, landingPageTemplates, snippets, forms)', 'emails')
+    .option('-t, --email-templates', 'Also export email templates and the emails that use them')
+    .option('-r, --resume', 'Resume a previous export in the output directory, skipping finished assets and retrying failed ones')
+    .option('-i, --incremental', 'Only fetch assets that are new or changed since the last export in the output directory')
+    .option('--since <date>', 'Only export assets updated on or after this date (e.g. 2024-06-01)')
+    .option('-l, --layout <layout>', 'Directory layout: flat (<type>_<id>/) or folders (mirrors the Marketo folder tree)', 'flat')
+    .option('-f, --folders', 'Write the Marketo folder tree (folders, programs, workspaces) to folders.json')
+    .option('--no-sections', 'Skip sections.json, modules.json and variables.json for emails (saves two API calls per email)')
+    .option('--no-text', 'Skip the plain-text <id>.txt version of each email')
+    .option('--no-velocity', 'Skip extracting Velocity blocks and email script tokens to .vm files')
+    .option('-a, --assets', 'Download images, CSS and fonts used by emails into assets/ and rewrite the HTML to use them')
+    .option('--assets-base-url <url>', 'Base URL for relative asset references such as /rs/... (e.g. https://go.example.com)')
+    .option('--no-links', 'Skip writing links.json per email and links.csv')
+    .option('--marketo-domains <domains>', 'Comma-separated branded Marketo domains (landing pages, tracking links) to flag in the link report')
+    .option('--strip-mkt-tok', 'Remove mkt_tok tracking parameters from exported email links')
+    .option('-s, --screenshots', 'Render desktop, mobile and thumbnail previews of each email (requires puppeteer)')
+    .option('--clean', 'Also write <id>.clean.html without Marketo editor markup, variables and tracking pixel')
+    .option('--inline-css', 'Inline CSS into the clean copy (implies --clean)')
+    .option('--template-format <format>', 'Also convert email templates into this template language (handlebars), with a JSON Schema of their variables')
+    .option('--sample-data <file>', 'JSON file of sample token values (lead, company, my, system) for the screenshots')
+    .option('--no-my-tokens', 'Skip exporting the My Tokens each email inherits from its folders and programs')
+    .option('--metadata <mode>', 'metadata.json contents: basic (the usual fields per type) or full (every field the API returns)', 'basic')
+    .option('-c, --concurrency <number>', 'Number of assets to fetch and write in parallel', (value) => parseInt(value, 10), 5)
     .action(async (options) => {
         const spinner = ora('Starting export process').start();
 
         try {
-            // Validate environment variables
-            const requiredEnvVars = [
-                'MARKETO_CLIENT_ID',
-                'MARKETO_CLIENT_SECRET',
-                'MARKETO_IDENTITY_URL',
-                'MARKETO_REST_URL'
-            ];
-
-            const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-            if (missingVars.length > 0) {
-                throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
-            }
-
-            const client = new MarketoClient({
-                clientId: process.env.MARKETO_CLIENT_ID,
-                clientSecret: process.env.MARKETO_CLIENT_SECRET,
-                identityUrl: process.env.MARKETO_IDENTITY_URL,
-                restUrl: process.env.MARKETO_REST_URL
-            });
+            const client = createClient();
+
+            if (!['flat', 'folders'].includes(options.layout)) {
+                throw new Error(`Unknown layout "${options.layout}". Use "flat" or "folders".`);
+            }
+
+            if (options.templateFormat && options.templateFormat !== 'handlebars') {
+                throw new Error(`Unknown template format "${options.templateFormat}". Supported: handlebars`);
+            }
+
+            if (!['basic', 'full'].includes(options.metadata)) {
+                throw new Error(`Unknown metadata mode "${options.metadata}". Use "basic" or "full".`);
+            }
+
+            const types = options.types.split(',').map(type => type.trim()).filter(Boolean);
+            if (options.emailTemplates && !types.includes('emailTemplates')) {
+                types.push('emailTemplates');
+            }
+
+            const sampleData = options.sampleData ? await loadSampleData(options.sampleData) : {};
 
             spinner.text = 'Authenticating with Marketo';
             await client.authenticate();
 
-            spinner.text = 'Fetching templates';
-            const results = await client.exportAllTemplates(
+            spinner.text = 'Fetching assets';
+            const results = await client.exportAll(
                 options.output,
+                {
+                    types,
+                    resume: options.resume,
+                    incremental: options.incremental,
+                    since: options.since,
+                    concurrency: options.concurrency,
+                    layout: options.layout,
+                    folders: options.folders,
+                    sections: options.sections,
+                    text: options.text,
+                    velocity: options.velocity,
+                    myTokens: options.myTokens,
+                    assets: options.assets,
+                    assetsBaseUrl: options.assetsBaseUrl,
+                    links: options.links,
+                    marketoDomains: options.marketoDomains
+                        ? options.marketoDomains.split(',').map(domain => domain.trim()).filter(Boolean)
+                        : [],
+                    stripMktTok: options.stripMktTok,
+                    screenshots: options.screenshots,
+                    clean: options.clean,
+                    inlineCss: options.inlineCss,
+                    templateFormat: options.templateFormat,
+                    metadata: options.metadata,
+                    sampleData
+                },
                 (progress) => {
                     if (typeof progress === 'number') {
-                        spinner.text = `Fetched ${progress} templates`;
+                        spinner.text = `Fetched ${progress} assets`;
                     } else {
-                        spinner.text = `Processed ${progress.successful + progress.failed}/${progress.total} templates`;
+                        spinner.text = `Processed ${progress.successful + progress.failed + progress.skipped}/${progress.total} assets`;
                     }
                 }
             );
@@ -66,15 +144,42 @@ program
 
             spinner.succeed(chalk.green('Export completed successfully!'));
             console.log(chalk.cyan('\nSummary:'));
-            console.log(chalk.white(`Total templates: ${results.total}`));
+            Object.entries(results.byType).forEach(([type, typeResults]) => {
+                console.log(chalk.white(`${type}: ${typeResults.successful}/${typeResults.total} exported, ${typeResults.skipped} skipped, ${typeResults.failed} failed`));
+            });
+            console.log(chalk.white(`Total assets: ${results.total}`));
             console.log(chalk.green(`Successfully exported: ${results.successful}`));
             console.log(chalk.red(`Failed: ${results.failed}`));
+            if (results.skipped > 0) {
+                console.log(chalk.white(`Skipped (already exported or unchanged): ${results.skipped}`));
+            }
+            if (results.removed > 0) {
+                console.log(chalk.yellow(`Removed from Marketo since the last export: ${results.removed}`));
+            }
+            if (results.foldersPath) {
+                console.log(chalk.white(`Folder tree: ${results.foldersPath}`));
+            }
+            if (results.assetsManifestPath) {
+                console.log(chalk.white(`Assets manifest: ${results.assetsManifestPath}`));
+            }
+            if (results.folderTokensDir) {
+                console.log(chalk.white(`Folder tokens: ${results.folderTokensDir}`));
+            }
+            if (results.tokenReportPath) {
+                console.log(chalk.white(`Token report: ${results.tokenReportPath}`));
+            }
+            if (results.linkReportPath) {
+                console.log(chalk.white(`Link report: ${results.linkReportPath}`));
+            }
+            console.log(chalk.white(`Metadata schema: ${results.metadataSchemaPath}`));
+            console.log(chalk.white(`Run report: ${results.reportPath}`));
 
             if (results.errors.length > 0) {
                 console.log(chalk.yellow('\nErrors:'));
                 results.errors.forEach(error => {
-                    console.log(chalk.red(`  Template ${error.templateId}: ${error.error}`));
+                    console.log(chalk.red(`  ${error.type} ${error.assetId}: ${error.error}`));
                 });
+                console.log(chalk.yellow(`\nRun again with --resume to retry failed assets (progress is saved in ${results.manifestPath}).`));
             }
 
         } catch (error) {
@@ -83,4 +188,195 @@ program
         }
     });
 
+program
+    .command('preview <emailId>')
+    .description('Render an email with sample token values to an HTML file (and optionally screenshots)')
+    .option('-d, --sample-data <file>', 'JSON file of sample token values: { "lead": { "FirstName": "Alex" }, "company": {...}, "my": {...}, "system": {...} }')
+    .option('-o, --output <directory>', 'Output directory', './previews')
+    .option('-s, --screenshots', 'Also save desktop, mobile and thumbnail PNGs (requires puppeteer)')
+    .option('--no-my-tokens', 'Don\'t fill {{my.*}} tokens with the values the email inherits from its folders and programs')
+    .action(async (emailId, options) => {
+        const spinner = ora('Rendering preview').start();
+        let renderer = null;
+
+        try {
+            const client = createClient();
+            const sampleData = options.sampleData ? await loadSampleData(options.sampleData) : {};
+            renderer = options.screenshots ? new ScreenshotRenderer() : null;
+
+            spinner.text = 'Authenticating with Marketo';
+            await client.authenticate();
+
+            spinner.text = `Fetching email ${emailId}`;
+            const email = await client.getEmail(emailId);
+            const { html } = await client.getEmailContent(email.id);
+            // As in the export, a failed My Tokens lookup isn't fatal: the sample data and
+            // placeholders fill {{my.*}} instead
+            let myTokens = [];
+            if (options.myTokens) {
+                try {
+                    myTokens = (await client.getInheritedTokens(email.folder)).tokens;
+                } catch (error) {
+                    spinner.warn(chalk.yellow(`Could not read My Tokens: ${error.message}`));
+                    spinner.start('Rendering preview');
+                }
+            }
+            const previewHtml = preparePreviewHtml(html, sampleDataForEmail(sampleData, myTokens));
+
+            await fs.promises.mkdir(options.output, { recursive: true });
+            const files = { [`${email.id}-preview.html`]: previewHtml };
+            if (renderer) {
+                spinner.text = 'Rendering screenshots';
+                const images = await renderer.capture(previewHtml);
+                for (const [fileName, data] of Object.entries(images)) {
+                    files[`${email.id}-${fileName}`] = data;
+                }
+            }
+            for (const [fileName, data] of Object.entries(files)) {
+                await fs.promises.writeFile(path.join(options.output, fileName), data);
+            }
+
+            spinner.succeed(chalk.green(`Preview of "${email.name}" rendered!`));
+            Object.keys(files).forEach(fileName => {
+                console.log(chalk.white(path.join(options.output, fileName)));
+            });
+        } catch (error) {
+            spinner.fail(chalk.red(`Preview failed: ${error.message}`));
+            process.exitCode = 1;
+        } finally {
+            if (renderer) {
+                await renderer.close();
+            }
+        }
+    });
+
+program
+    .command('lint <exportDir>')
+    .description('Check exported email HTML for problems that break in email clients')
+    .option('--types <types>', 'Comma-separated asset types to lint', 'emails,emailTemplates')
+    .option('-o, --output <directory>', 'Where to write lint-report.json and lint-report.html (defaults to <exportDir>)')
+    .action(async (exportDir, options) => {
+        const spinner = ora('Linting exported HTML').start();
+
+        try {
+            const report = await lintExport(exportDir, {
+                types: options.types.split(',').map(type => type.trim()).filter(Boolean),
+                outputDir: options.output
+            });
+
+            spinner.succeed(chalk.green('Lint completed!'));
+            const { summary } = report;
+            console.log(chalk.white(`Emails checked: ${summary.emails}`));
+            console.log(chalk.red(`With errors: ${summary.withErrors}`));
+            console.log(chalk.yellow(`With warnings only: ${summary.withWarnings}`));
+            console.log(chalk.green(`Clean: ${summary.clean}`));
+
+            if (Object.keys(summary.byRule).length > 0) {
+                console.log(chalk.white('\nEmails per rule:'));
+                Object.entries(summary.byRule).forEach(([rule, count]) => {
+                    console.log(chalk.white(`  ${rule}: ${count}`));
+                });
+            }
+            console.log(chalk.white(`\nReport: ${report.jsonPath}`));
+            console.log(chalk.white(`HTML report: ${report.htmlPath}`));
+        } catch (error) {
+            spinner.fail(chalk.red(`Lint failed: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
+program
+    .command('transform <exportDir>')
+    .description('Rewrite Marketo tokens in exported emails into another platform\'s merge syntax')
+    .option('-m, --mapping <file>', 'JSON mapping file: { "preset": "liquid", "tokens": { "lead.FirstName": "contact.first_name" }, "defaults": { ... } }')
+    .option('-p, --preset <preset>', `Built-in target syntax (${Object.keys(PRESETS).join(', ')})`)
+    .option('-o, --output <directory>', 'Output directory (defaults to <exportDir>-transformed)')
+    .action(async (exportDir, options) => {
+        const spinner = ora('Transforming tokens').start();
+
+        try {
+            if (!options.mapping && !options.preset) {
+                throw new Error('Provide a mapping file (--mapping), a preset (--preset), or both');
+            }
+
+            const mapping = options.mapping
+                ? JSON.parse(fs.readFileSync(options.mapping, 'utf8'))
+                : {};
+            const outputDir = options.output || `${exportDir.replace(/[\\/]+$/, '')}-transformed`;
+
+            const report = await transformExport(exportDir, outputDir, mapping, options.preset);
+
+            spinner.succeed(chalk.green('Transform completed!'));
+            console.log(chalk.white(`Emails transformed: ${report.emails}`));
+            console.log(chalk.white(`Tokens replaced: ${report.replaced}`));
+            console.log(chalk.white(`Output: ${outputDir}`));
+
+            if (report.unmapped.length > 0) {
+                console.log(chalk.yellow(`\nUnmapped tokens (left as is):`));
+                report.unmapped.forEach(entry => {
+                    console.log(chalk.yellow(`  {{${entry.token}}} - ${entry.count} uses in ${entry.emails.length} emails`));
+                });
+            }
+            if (report.droppedDefaults.length > 0) {
+                console.log(chalk.yellow(`\nDefaults dropped (target inserted verbatim):`));
+                report.droppedDefaults.forEach(entry => {
+                    console.log(chalk.yellow(`  {{${entry.token}}} default "${entry.default}" - ${entry.count} uses in ${entry.emails.length} emails`));
+                });
+            }
+            console.log(chalk.white(`\nReport: ${report.reportPath}`));
+        } catch (error) {
+            spinner.fail(chalk.red(`Transform failed: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
+program
+    .command('check-links <exportDir>')
+    .description('Check the links in exported emails and report broken and redirected URLs')
+    .option('-c, --concurrency <number>', 'Number of URLs to check in parallel', (value) => parseInt(value, 10), 5)
+    .option('--timeout <ms>', 'Timeout per request in milliseconds', (value) => parseInt(value, 10), 10000)
+    .option('-r, --rewrite <file>', 'JSON map of URL prefixes to replace before checking: { "https://go.example.com": "http://localhost:8080" }')
+    .option('--max-age <hours>', 'Re-check cached results older than this many hours', (value) => parseFloat(value), 24)
+    .option('--no-cache', 'Ignore and don\'t update link-check-cache.json')
+    .action(async (exportDir, options) => {
+        const spinner = ora('Checking links').start();
+
+        try {
+            const rewrite = options.rewrite
+                ? JSON.parse(fs.readFileSync(options.rewrite, 'utf8'))
+                : {};
+
+            const report = await checkExportLinks(exportDir, {
+                concurrency: options.concurrency,
+                timeout: options.timeout,
+                rewrite,
+                cache: options.cache,
+                maxAge: options.maxAge * 60 * 60 * 1000
+            }, (progress) => {
+                spinner.text = `Checking links (${progress.checked}/${progress.total})`;
+            });
+
+            spinner.succeed(chalk.green('Link check completed!'));
+            const { summary } = report;
+            console.log(chalk.white(`URLs: ${summary.urls} (${summary.checked} checked, ${summary.fromCache} from cache)`));
+            console.log(chalk.green(`OK: ${summary.ok}`));
+            console.log(chalk.yellow(`Redirected: ${summary.redirected}`));
+            console.log(chalk.red(`Broken: ${summary.broken}`));
+
+            report.emails.forEach(email => {
+                if (email.broken.length === 0) {
+                    return;
+                }
+                console.log(chalk.white(`\n${email.name} (${email.id})`));
+                email.broken.forEach(link => {
+                    console.log(chalk.red(`  ${link.status || link.error} ${link.url}`));
+                });
+            });
+            console.log(chalk.white(`\nReport: ${report.reportPath}`));
+        } catch (error) {
+            spinner.fail(chalk.red(`Link check failed: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
 program.parse(); 
\ No newline at end of file
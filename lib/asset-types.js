@@ -0,0 +1,254 @@
+// Asset types that MarketoClient knows how to list, fetch and write to disk.
+//
+// Each type describes:
+//   listEndpoint   - paged Asset API listing
+//   directory      - where its assets go, relative to the export root
+//   dirPrefix      - asset folders are named `<dirPrefix>_<id>`
+//   extension      - extension of the content file, `<id>.<extension>`
+//   metadataFields - asset fields copied into metadata.json (every field in 'full' metadata mode)
+//   wrappedFields  - optional fields the API returns as { type, value }, unwrapped in metadata.json
+//   getContent     - (client, asset) => content string to write, or { content, metadata, ... }
+//   extraMetadata  - optional (client, asset, context) => additional metadata fields
+//   extras         - optional (client, asset, content, context, assetDir, fetched) => { files, metadata },
+//                    where files is { fileName: data } to write alongside and metadata is merged in.
+//                    fetched is the object getContent returned, if it returned one.
+
+const { analyzeEmailStructure } = require('./email-structure');
+const { htmlToPlainText } = require('./plain-text');
+const { analyzeTokens } = require('./tokens');
+const { collectVelocity } = require('./velocity');
+const { extractLinks, stripMktTok } = require('./links');
+const { preparePreviewHtml, sampleDataForEmail } = require('./preview');
+const { cleanHtml } = require('./clean');
+const { convertEmailTemplate } = require('./template-converter');
+const { fieldValue } = require('./metadata');
+
+const ASSET_TYPES = {
+    emails: {
+        listEndpoint: '/asset/v1/emails.json',
+        directory: '.',
+        dirPrefix: 'template',
+        extension: 'html',
+        metadataFields: [
+            'id', 'name', 'status', 'createdAt', 'updatedAt', 'folder',
+            'subject', 'fromName', 'fromEmail'
+        ],
+        wrappedFields: ['subject', 'fromName', 'fromEmail', 'replyEmail'],
+        getContent: async (client, asset) => {
+            const { html, strategy, sections } = await client.getEmailContent(asset.id);
+            return { content: html, metadata: { contentStrategy: strategy }, sections };
+        },
+        extras: async (client, asset, html, context, assetDir, fetched) => {
+            const files = {};
+            const metadata = {};
+
+            // Editable regions keyed by htmlId, the modules they sit in, and the email's variables.
+            // Like the text version, these are extras: a failed call is recorded, not fatal.
+            // content.json is only fetched when the HTML didn't already come from it.
+            if (context.sections) {
+                let sections = fetched && fetched.sections;
+                if (!sections) {
+                    try {
+                        sections = await client.getEmailSections(asset.id);
+                    } catch (error) {
+                        metadata.sectionsError = error.message;
+                    }
+                }
+                const structure = analyzeEmailStructure(html, sections || []);
+                if (sections) {
+                    files['sections.json'] = structure.sections;
+                }
+                files['modules.json'] = structure.modules;
+
+                try {
+                    files['variables.json'] = await client.getEmailVariables(asset.id);
+                } catch (error) {
+                    metadata.variablesError = error.message;
+                }
+            }
+
+            // Marketo's own text version when it has one, otherwise one generated from the HTML
+            let text = '';
+            if (context.text) {
+                try {
+                    text = await client.getEmailText(asset.id);
+                } catch (error) {
+                    metadata.textError = error.message;
+                }
+                metadata.textSource = text ? 'marketo' : 'generated';
+                text = text || htmlToPlainText(html);
+                files[`${asset.id}.txt`] = text;
+            }
+
+            files['tokens.json'] = analyzeTokens({
+                subject: fieldValue(asset.subject),
+                fromName: fieldValue(asset.fromName),
+                html,
+                text
+            });
+
+            // My Tokens inherited from the email's folder and program chain. A failed lookup
+            // doesn't fail the export, the same as the text version.
+            if (context.myTokens) {
+                try {
+                    const inherited = await client.getInheritedTokens(asset.folder);
+                    inherited.folders.forEach(entry => context.tokenFolders.set(entry.key, entry));
+                    metadata.myTokens = inherited.tokens;
+                } catch (error) {
+                    metadata.myTokensError = error.message;
+                }
+            }
+
+            // Inline Velocity and the email script tokens behind {{my.*}}, as .vm files
+            if (context.velocity) {
+                const velocity = await collectVelocity(client, asset, html);
+                Object.assign(files, velocity.files);
+                metadata.velocity = velocity.summary;
+            }
+
+            // A failed render doesn't fail the export; the HTML is what matters
+            if (context.screenshots && html) {
+                try {
+                    const sampleData = sampleDataForEmail(context.sampleData, metadata.myTokens);
+                    Object.assign(files, await context.screenshots.capture(preparePreviewHtml(html, sampleData)));
+                } catch (error) {
+                    metadata.screenshotError = error.message;
+                }
+            }
+
+            // Every link as Marketo serves it; mkt_tok is only stripped from the files written
+            if (context.links) {
+                files['links.json'] = extractLinks(html, { marketoDomains: context.marketoDomains });
+            }
+            if (context.stripMktTok && html) {
+                files[`${asset.id}.html`] = stripMktTok(html);
+                if (files[`${asset.id}.txt`]) {
+                    files[`${asset.id}.txt`] = stripMktTok(files[`${asset.id}.txt`]);
+                }
+            }
+
+            // After the checks above, so they work from the HTML as Marketo serves it
+            if (context.assets && html) {
+                const localized = await context.assets.localizeHtml(files[`${asset.id}.html`] || html, assetDir);
+                files[`${asset.id}.html`] = localized.html;
+                metadata.assets = {
+                    localized: localized.localized.length,
+                    failed: localized.failed,
+                    unresolved: localized.unresolved
+                };
+            }
+
+            // A portable copy of the final HTML, next to the untouched original
+            if (context.clean && html) {
+                let variables = files['variables.json'];
+                if (!variables && !metadata.variablesError) {
+                    try {
+                        variables = await client.getEmailVariables(asset.id);
+                    } catch (error) {
+                        metadata.variablesError = error.message;
+                    }
+                }
+                // Without the email's values, variables fall back to their declared defaults
+                files[`${asset.id}.clean.html`] = cleanHtml(files[`${asset.id}.html`] || html, {
+                    variables: variables || [],
+                    inlineCss: context.inlineCss
+                });
+            }
+
+            return { files, metadata };
+        }
+    },
+
+    emailTemplates: {
+        listEndpoint: '/asset/v1/emailTemplates.json',
+        directory: 'email-templates',
+        dirPrefix: 'email_template',
+        extension: 'html',
+        metadataFields: [
+            'id', 'name', 'description', 'status', 'createdAt', 'updatedAt',
+            'folder', 'url', 'workspace'
+        ],
+        getContent: (client, asset) => client.getEmailTemplateContent(asset.id),
+        extraMetadata: async (client, asset, context) => {
+            const usage = client.buildTemplateUsage(await context.getListing('emails'));
+            return { usedBy: usage.get(asset.id) || [] };
+        },
+        extras: async (client, asset, html, context) => {
+            const files = {};
+            const metadata = {};
+            if (context.clean && html) {
+                files[`${asset.id}.clean.html`] = cleanHtml(html, { inlineCss: context.inlineCss });
+            }
+
+            // Handlebars template with a partial per module, its JSON Schema and what didn't convert
+            if (context.templateFormat === 'handlebars' && html) {
+                const { template, partials, schema, report } = convertEmailTemplate(html, { name: asset.name });
+                files[`${asset.id}.hbs`] = template;
+                for (const [moduleId, partial] of Object.entries(partials)) {
+                    files[report.partials[moduleId]] = partial;
+                }
+                files[`${asset.id}.schema.json`] = schema;
+                files['conversion.json'] = report;
+                metadata.conversion = {
+                    format: report.format,
+                    modules: report.modules,
+                    unconverted: report.unconverted.length
+                };
+            }
+            return { files, metadata };
+        }
+    },
+
+    landingPages: {
+        listEndpoint: '/asset/v1/landingPages.json',
+        directory: 'landing-pages',
+        dirPrefix: 'landing_page',
+        extension: 'html',
+        metadataFields: [
+            'id', 'name', 'description', 'status', 'createdAt', 'updatedAt',
+            'folder', 'template', 'title', 'keywords', 'robots', 'url',
+            'computedUrl', 'mobileEnabled', 'formPrefill', 'workspace'
+        ],
+        getContent: (client, asset) => client.getLandingPageContent(asset.id)
+    },
+
+    landingPageTemplates: {
+        listEndpoint: '/asset/v1/landingPageTemplates.json',
+        directory: 'landing-page-templates',
+        dirPrefix: 'landing_page_template',
+        extension: 'html',
+        metadataFields: [
+            'id', 'name', 'description', 'status', 'createdAt', 'updatedAt',
+            'folder', 'templateType', 'enableMunchkin', 'url', 'workspace'
+        ],
+        getContent: (client, asset) => client.getLandingPageTemplateContent(asset.id)
+    },
+
+    snippets: {
+        listEndpoint: '/asset/v1/snippets.json',
+        directory: 'snippets',
+        dirPrefix: 'snippet',
+        extension: 'html',
+        metadataFields: [
+            'id', 'name', 'description', 'status', 'createdAt', 'updatedAt',
+            'folder', 'url', 'workspace'
+        ],
+        getContent: (client, asset) => client.getSnippetContent(asset.id)
+    },
+
+    forms: {
+        listEndpoint: '/asset/v1/forms.json',
+        directory: 'forms',
+        dirPrefix: 'form',
+        extension: 'json',
+        metadataFields: [
+            'id', 'name', 'description', 'status', 'createdAt', 'updatedAt',
+            'folder', 'language', 'locale', 'progressiveProfiling', 'labelPosition',
+            'fontFamily', 'fontSize', 'knownVisitor', 'thankYouList', 'theme',
+            'buttonLabel', 'buttonLocation', 'waitingLabel', 'url', 'workspace'
+        ],
+        getContent: async (client, asset) => JSON.stringify(await client.getFormFields(asset.id), null, 2)
+    }
+};
+
+module.exports = ASSET_TYPES;
@@ -0,0 +1,319 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const ASSETS_DIR = 'assets';
+const MANIFEST_FILE = 'manifest.json';
+
+const FONT_EXTENSIONS = ['.woff', '.woff2', '.ttf', '.otf', '.eot'];
+const CONTENT_TYPE_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/svg+xml': '.svg',
+    'image/webp': '.webp',
+    'text/css': '.css',
+    'font/woff': '.woff',
+    'font/woff2': '.woff2',
+    'font/ttf': '.ttf',
+    'font/otf': '.otf'
+};
+
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+?)\1\s*\)|@import\s+(['"])([^'"]+)\3/g;
+// Outlook VML backgrounds live inside conditional comments, which the parser skips
+const COMMENT_PATTERN = /<!--([\s\S]*?)-->/g;
+const COMMENT_URL_PATTERN = /\b(?:src|background)\s*=\s*["']([^"']+)["']/gi;
+
+// References found in CSS text, as { url, kind }
+function findCssUrls(css) {
+    const urls = [];
+    const pattern = new RegExp(CSS_URL_PATTERN.source, 'g');
+    let match;
+    while ((match = pattern.exec(css || '')) !== null) {
+        if (match[2]) {
+            urls.push({ url: match[2], kind: null });
+        } else {
+            urls.push({ url: match[4], kind: 'css' });
+        }
+    }
+    return urls;
+}
+
+// Images, stylesheets and fonts an HTML document references, as { url, kind }.
+// kind is 'css' for stylesheets and null when it depends on what the file turns out to be.
+function findAssetUrls(html) {
+    const $ = cheerio.load(html || '');
+    const urls = [];
+
+    $('img[src], input[type="image"][src]').each((index, element) => {
+        urls.push({ url: $(element).attr('src'), kind: null });
+    });
+    $('img[srcset], source[srcset]').each((index, element) => {
+        $(element).attr('srcset').split(',').forEach(candidate => {
+            const url = candidate.trim().split(/\s+/)[0];
+            if (url) {
+                urls.push({ url, kind: null });
+            }
+        });
+    });
+    $('[background]').each((index, element) => {
+        urls.push({ url: $(element).attr('background'), kind: null });
+    });
+    $('link[href]').each((index, element) => {
+        const rel = ($(element).attr('rel') || '').toLowerCase().split(/\s+/);
+        if (rel.includes('stylesheet')) {
+            urls.push({ url: $(element).attr('href'), kind: 'css' });
+        }
+    });
+    $('style').each((index, element) => {
+        urls.push(...findCssUrls($(element).html()));
+    });
+    $('[style]').each((index, element) => {
+        urls.push(...findCssUrls($(element).attr('style')));
+    });
+
+    let comment;
+    const commentPattern = new RegExp(COMMENT_PATTERN.source, 'g');
+    while ((comment = commentPattern.exec(html || '')) !== null) {
+        const urlPattern = new RegExp(COMMENT_URL_PATTERN.source, 'gi');
+        let match;
+        while ((match = urlPattern.exec(comment[1])) !== null) {
+            urls.push({ url: match[1], kind: null });
+        }
+    }
+
+    return urls;
+}
+
+// Absolute http(s) URL for a reference, or null for data: URIs, tokens and relative
+// references that can't be resolved without a base URL
+function resolveUrl(url, baseUrl) {
+    const trimmed = (url || '').trim();
+    if (!trimmed || /^(data|mailto|tel|javascript|cid):/i.test(trimmed) || /\{\{|\$\{?\w/.test(trimmed)) {
+        return null;
+    }
+    if (trimmed.startsWith('//')) {
+        return `https:${trimmed}`;
+    }
+    try {
+        const resolved = new URL(trimmed, baseUrl || undefined);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isRelative(url) {
+    const trimmed = (url || '').trim();
+    return Boolean(trimmed) && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(trimmed) && !/\{\{|\$\{?\w/.test(trimmed);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace whole references only: `a.png` must not match inside `a.png?v=2`
+function replaceReferences(text, replacements) {
+    let output = text;
+    const references = [...replacements.keys()].sort((a, b) => b.length - a.length);
+    for (const reference of references) {
+        const forms = new Set([reference, reference.replace(/&/g, '&amp;')]);
+        for (const form of forms) {
+            const pattern = new RegExp(`(?<=["'(\\s,=])${escapeRegExp(form)}(?=["')\\s,]|$)`, 'g');
+            output = output.replace(pattern, () => replacements.get(reference));
+        }
+    }
+    return output;
+}
+
+function fileExtension(url, contentType) {
+    const extension = path.extname(new URL(url).pathname).toLowerCase();
+    if (/^\.[a-z0-9]{1,5}$/.test(extension)) {
+        return extension;
+    }
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    return CONTENT_TYPE_EXTENSIONS[type] || '';
+}
+
+function assetKind(extension, contentType, hint) {
+    if (hint) {
+        return hint;
+    }
+    const type = (contentType || '').toLowerCase();
+    if (extension === '.css' || type.startsWith('text/css')) {
+        return 'css';
+    }
+    if (FONT_EXTENSIONS.includes(extension) || type.startsWith('font/') || type.includes('font-')) {
+        return 'font';
+    }
+    return 'image';
+}
+
+// Downloads the images, stylesheets and fonts exported HTML points at into one shared
+// assets/ directory. Files are named after a hash of their content, so the same file
+// referenced under different URLs is stored once. assets/manifest.json maps every
+// original URL to its local file and is carried over between runs.
+class AssetLocalizer {
+    constructor(outputDir, options = {}) {
+        this.outputDir = outputDir;
+        this.assetsDir = path.join(outputDir, ASSETS_DIR);
+        this.manifestPath = path.join(this.assetsDir, MANIFEST_FILE);
+        this.baseUrl = options.baseUrl || null;
+        this.timeout = options.timeout || 30000;
+        this.assets = {};
+        this.failed = {};
+        this.downloads = new Map();
+        this.loaded = null;
+    }
+
+    // Earlier runs' mappings, so unchanged URLs aren't downloaded again
+    load() {
+        if (!this.loaded) {
+            this.loaded = fs.readFile(this.manifestPath, 'utf8')
+                .then(data => {
+                    this.assets = JSON.parse(data).assets || {};
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                });
+        }
+        return this.loaded;
+    }
+
+    // Local file for a URL, downloading it once per run however many emails use it
+    // `parents` are the stylesheets being localized that led here, to stop @import loops
+    download(url, kind, parents = []) {
+        if (!this.downloads.has(url)) {
+            this.downloads.set(url, this.fetchAsset(url, kind, parents).catch(error => {
+                this.failed[url] = error.message;
+                delete this.assets[url];
+                throw error;
+            }));
+        }
+        return this.downloads.get(url);
+    }
+
+    async fetchAsset(url, kind, parents) {
+        await this.load();
+        const known = this.assets[url];
+        if (known) {
+            try {
+                await fs.access(path.join(this.outputDir, known.file));
+                return known;
+            } catch (error) {
+                // File is gone; fetch it again
+            }
+        }
+
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxRedirects: 5
+        });
+        const contentType = response.headers['content-type'] || null;
+        const extension = fileExtension(url, contentType);
+        const resolvedKind = assetKind(extension, contentType, kind);
+
+        let data = Buffer.from(response.data);
+        if (resolvedKind === 'css') {
+            // Fonts and images a stylesheet references sit next to it in assets/
+            data = Buffer.from(await this.localizeCss(data.toString('utf8'), url, parents));
+        }
+
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        const file = `${ASSETS_DIR}/${hash.slice(0, 16)}${extension}`;
+        await fs.mkdir(this.assetsDir, { recursive: true });
+        await fs.writeFile(path.join(this.outputDir, file), data);
+
+        const entry = { file, kind: resolvedKind, hash, contentType, size: data.length };
+        this.assets[url] = entry;
+        delete this.failed[url];
+        return entry;
+    }
+
+    async localizeCss(css, cssUrl, parents) {
+        const chain = [...parents, cssUrl];
+        const replacements = new Map();
+        for (const { url: reference, kind } of findCssUrls(css)) {
+            const url = resolveUrl(reference, cssUrl);
+            if (!url || chain.includes(url) || replacements.has(reference)) {
+                continue;
+            }
+            try {
+                const entry = await this.download(url, kind, chain);
+                replacements.set(reference, path.basename(entry.file));
+            } catch (error) {
+                // Left pointing at the original URL; the failure is in the manifest
+            }
+        }
+        return replaceReferences(css, replacements);
+    }
+
+    // Download everything `html` references and point the references at the local copies,
+    // relative to `assetDir`. References that fail keep their original URL.
+    async localizeHtml(html, assetDir) {
+        const replacements = new Map();
+        const localized = [];
+        const failed = [];
+        const unresolved = [];
+
+        for (const { url: reference, kind } of findAssetUrls(html)) {
+            if (replacements.has(reference) || failed.includes(reference) || unresolved.includes(reference)) {
+                continue;
+            }
+            const url = resolveUrl(reference, this.baseUrl);
+            if (!url) {
+                // Relative references need a base URL; data: URIs and tokens stay as they are
+                if (isRelative(reference)) {
+                    unresolved.push(reference);
+                }
+                continue;
+            }
+            try {
+                const entry = await this.download(url, kind);
+                const localPath = path.relative(assetDir, path.join(this.outputDir, entry.file)).split(path.sep).join('/');
+                replacements.set(reference, localPath);
+                localized.push({ url, file: entry.file });
+            } catch (error) {
+                failed.push(reference);
+            }
+        }
+
+        return {
+            html: replaceReferences(html, replacements),
+            localized,
+            failed,
+            unresolved
+        };
+    }
+
+    async save() {
+        await this.load();
+        await fs.mkdir(this.assetsDir, { recursive: true });
+        const urls = Object.keys(this.assets).sort();
+        await fs.writeFile(this.manifestPath, JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            baseUrl: this.baseUrl,
+            count: urls.length,
+            assets: urls.reduce((assets, url) => {
+                assets[url] = this.assets[url];
+                return assets;
+            }, {}),
+            failed: this.failed
+        }, null, 2));
+        return this.manifestPath;
+    }
+}
+
+AssetLocalizer.ASSETS_DIR = ASSETS_DIR;
+
+module.exports = {
+    AssetLocalizer,
+    findAssetUrls,
+    findCssUrls,
+    resolveUrl
+};
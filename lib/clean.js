@@ -0,0 +1,95 @@
+const cheerio = require('cheerio');
+const juice = require('juice');
+
+// Email 2.0 variable declarations: <meta class="mktoString" id="headline" default="Hello">
+const VARIABLE_CLASSES = ['mktoString', 'mktoColor', 'mktoBoolean', 'mktoNumber', 'mktoList', 'mktoHTML', 'mktoImg'];
+// Editor classes that mean nothing outside Marketo
+const EDITOR_CLASSES = ['mktEditable', 'mktoModule', 'mktoContainer', 'mktoText', 'mktoImg', 'mktoSnippet', 'mktoVideo'];
+// Marketo's open-tracking pixel: <img src="https://<munchkin>.mktoweb.com/trk?t=1&mkt_tok=...">
+const TRACKING_PIXEL = /\/trk\?(.*&)?t=/i;
+
+// Editor classes, mkto* attributes and the tracking pixel, removed from a loaded document
+function stripMarketoMarkup($) {
+    $('img[src]').filter((index, element) => TRACKING_PIXEL.test($(element).attr('src'))).remove();
+
+    $('*').each((index, element) => {
+        const node = $(element);
+        EDITOR_CLASSES.forEach(className => node.removeClass(className));
+        if (node.attr('class') === '') {
+            node.removeAttr('class');
+        }
+        Object.keys(element.attribs || {})
+            .filter(name => name.startsWith('mkto'))
+            .forEach(name => node.removeAttr(name));
+    });
+}
+
+// The value a variable declaration stands for: the email's own value when there is one,
+// otherwise the declared default. Booleans render as their true_value or false_value.
+function variableValue(meta, values) {
+    const id = meta.attr('id');
+    const value = values[id] !== undefined ? values[id] : meta.attr('default');
+    if (meta.hasClass('mktoBoolean')) {
+        const enabled = String(value).toLowerCase() === 'true';
+        const rendered = meta.attr(enabled ? 'true_value' : 'false_value');
+        return rendered !== undefined ? rendered : String(enabled);
+    }
+    if (meta.hasClass('mktoNumber') && meta.attr('units') && value !== undefined) {
+        return `${value}${meta.attr('units')}`;
+    }
+    return value === undefined ? '' : String(value);
+}
+
+// Portable HTML: variable references replaced with their values, variable declarations,
+// editor classes, mkto* attributes and the tracking pixel removed.
+// `variables` are the email's global variables as variables.json returns them.
+function cleanMarketoHtml(html, variables = []) {
+    const $ = cheerio.load(html || '');
+    const values = {};
+    variables
+        .filter(variable => !variable.moduleScope)
+        .forEach(variable => {
+            values[variable.name] = variable.value;
+        });
+
+    const replacements = {};
+    $(VARIABLE_CLASSES.map(className => `meta.${className}`).join(', ')).each((index, element) => {
+        const meta = $(element);
+        if (meta.attr('id')) {
+            replacements[meta.attr('id')] = variableValue(meta, values);
+        }
+        meta.remove();
+    });
+
+    stripMarketoMarkup($);
+
+    // ${variable} references, in attributes and text alike; unknown ones are left alone
+    return $.html().replace(/\$\{([\w-]+)\}/g, (reference, name) => (
+        replacements[name] !== undefined ? replacements[name] : reference
+    ));
+}
+
+// Move <style> rules onto the elements they match. Media queries and font faces stay
+// in a <style> block, since they can't be inlined.
+function inlineCss(html) {
+    return juice(html, {
+        preserveMediaQueries: true,
+        preserveFontFaces: true,
+        applyWidthAttributes: true,
+        applyHeightAttributes: true,
+        applyAttributesTableElements: true
+    });
+}
+
+function cleanHtml(html, options = {}) {
+    const cleaned = cleanMarketoHtml(html, options.variables);
+    return options.inlineCss ? inlineCss(cleaned) : cleaned;
+}
+
+module.exports = {
+    VARIABLE_CLASSES,
+    cleanHtml,
+    cleanMarketoHtml,
+    inlineCss,
+    stripMarketoMarkup
+};
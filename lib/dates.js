@@ -0,0 +1,14 @@
+// Marketo's Asset API returns timestamps like "2024-03-05T17:21:07Z+0000",
+// which Date.parse rejects because of the trailing offset after the "Z".
+function parseMarketoDate(value) {
+    if (!value) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value;
+    }
+    const date = new Date(String(value).replace(/Z\+0000$/, 'Z'));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { parseMarketoDate };
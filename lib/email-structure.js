@@ -0,0 +1,50 @@
+const cheerio = require('cheerio');
+
+// Email 2.0 modules, in document order, from the `mktoModule` elements of the full HTML.
+// The parser lowercases attribute names, hence `mktoname`.
+function extractModules($) {
+    return $('.mktoModule').toArray().map((element, index) => {
+        const module = $(element);
+        const container = module.closest('.mktoContainer');
+        return {
+            id: module.attr('id') || null,
+            name: module.attr('mktoname') || null,
+            container: container.length ? container.attr('id') || null : null,
+            index
+        };
+    });
+}
+
+// content.json sections keyed by htmlId, with the module each section sits in (if any)
+function buildSections(contentSections, $) {
+    const sections = {};
+    for (const section of contentSections) {
+        const { htmlId, contentType, value, ...rest } = section;
+        const entry = { type: contentType, value, ...rest };
+
+        if ($ && htmlId) {
+            const element = $('[id]').filter((index, candidate) => $(candidate).attr('id') === htmlId);
+            const module = element.first().closest('.mktoModule');
+            if (module.length) {
+                entry.module = module.attr('id') || null;
+            }
+        }
+
+        sections[htmlId] = entry;
+    }
+    return sections;
+}
+
+function analyzeEmailStructure(html, contentSections) {
+    const $ = html ? cheerio.load(html) : null;
+    return {
+        sections: buildSections(contentSections, $),
+        modules: $ ? extractModules($) : []
+    };
+}
+
+module.exports = {
+    analyzeEmailStructure,
+    buildSections,
+    extractModules
+};
@@ -0,0 +1,75 @@
+// Error types thrown by MarketoClient. Each keeps enough detail to decide
+// whether a request is worth retrying and to report what Marketo said.
+
+// 601: access token invalid, 602: access token expired
+const TOKEN_ERROR_CODES = ['601', '602'];
+// 604: request timed out, 606: rate limit exceeded, 615: concurrent access limit reached
+const RETRYABLE_API_CODES = ['604', '606', '615'];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+class MarketoError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// Marketo answered with `success: false`; `code` and `apiMessage` are the first entry of `errors`
+class MarketoApiError extends MarketoError {
+    constructor(code, apiMessage, endpoint, errors = []) {
+        super(`Marketo API Error (${code}) for ${endpoint}: ${apiMessage}`);
+        this.code = String(code);
+        this.apiMessage = apiMessage;
+        this.endpoint = endpoint;
+        this.errors = errors;
+    }
+
+    static fromResponse(data, endpoint) {
+        const errors = data.errors || [];
+        const [first = { code: 'unknown', message: 'Request was not successful' }] = errors;
+        return new MarketoApiError(first.code, first.message, endpoint, errors);
+    }
+}
+
+// The request failed at the HTTP level: a non-2xx status, or no response at all
+class MarketoHttpError extends MarketoError {
+    constructor(cause, endpoint) {
+        const status = cause.response ? cause.response.status : null;
+        super(status
+            ? `HTTP ${status} from ${endpoint}: ${cause.response.statusText || cause.message}`
+            : `Network error calling ${endpoint}: ${cause.message}`);
+        this.status = status;
+        this.code = cause.code;
+        this.endpoint = endpoint;
+    }
+}
+
+class MarketoAuthError extends MarketoError {
+    constructor(message, status = null) {
+        super(`Authentication failed: ${message}`);
+        this.status = status;
+    }
+}
+
+function isTokenError(error) {
+    return error instanceof MarketoApiError && TOKEN_ERROR_CODES.includes(error.code);
+}
+
+function isRetryableError(error) {
+    if (error instanceof MarketoApiError) {
+        return RETRYABLE_API_CODES.includes(error.code) || isTokenError(error);
+    }
+    if (error instanceof MarketoHttpError) {
+        return error.status ? error.status >= 500 : RETRYABLE_NETWORK_CODES.includes(error.code);
+    }
+    return false;
+}
+
+module.exports = {
+    MarketoError,
+    MarketoApiError,
+    MarketoHttpError,
+    MarketoAuthError,
+    isTokenError,
+    isRetryableError
+};
@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MANIFEST_FILE = 'export-manifest.json';
+
+// Persisted record of every asset in an export run and how far it got
+// (pending, done, failed, or removed from Marketo since it was exported),
+// so an interrupted export can be resumed and later runs can be incremental.
+class ExportManifest {
+    constructor(outputDir, data = {}) {
+        this.filePath = path.join(outputDir, MANIFEST_FILE);
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.items = data.items || {};
+    }
+
+    static async load(outputDir) {
+        try {
+            const raw = await fs.readFile(path.join(outputDir, MANIFEST_FILE), 'utf8');
+            return new ExportManifest(outputDir, JSON.parse(raw));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return new ExportManifest(outputDir);
+            }
+            throw new Error(`Could not read export manifest: ${error.message}`);
+        }
+    }
+
+    key(typeName, assetId) {
+        return `${typeName}:${assetId}`;
+    }
+
+    get(typeName, assetId) {
+        return this.items[this.key(typeName, assetId)];
+    }
+
+    itemsOfType(typeName) {
+        return Object.values(this.items).filter(item => item.type === typeName);
+    }
+
+    // Assets of a type that were exported successfully and are still in Marketo
+    doneItems(typeName) {
+        return this.itemsOfType(typeName).filter(item => item.state === 'done' && item.dir);
+    }
+
+    addPending(typeName, asset) {
+        const key = this.key(typeName, asset.id);
+        if (!this.items[key]) {
+            this.items[key] = {
+                type: typeName,
+                id: asset.id,
+                name: asset.name,
+                state: 'pending',
+                attempts: 0
+            };
+        }
+        return this.items[key];
+    }
+
+    markDone(typeName, asset, details = {}) {
+        const item = this.addPending(typeName, asset);
+        Object.assign(item, details, {
+            state: 'done',
+            attempts: item.attempts + 1,
+            completedAt: new Date().toISOString()
+        });
+        delete item.error;
+    }
+
+    markFailed(typeName, asset, error) {
+        const item = this.addPending(typeName, asset);
+        Object.assign(item, {
+            state: 'failed',
+            attempts: item.attempts + 1,
+            error: error.message
+        });
+    }
+
+    markRemoved(typeName, assetId) {
+        const item = this.get(typeName, assetId);
+        if (item) {
+            item.state = 'removed';
+            item.removedAt = new Date().toISOString();
+        }
+    }
+
+    counts() {
+        const counts = { pending: 0, done: 0, failed: 0, removed: 0 };
+        for (const item of Object.values(this.items)) {
+            counts[item.state] = (counts[item.state] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Saves are serialised, and a save requested while another is waiting shares it,
+    // so concurrent exports never interleave writes to the same file
+    save() {
+        if (!this.queuedSave) {
+            const previous = this.currentSave || Promise.resolve();
+            this.queuedSave = previous.catch(() => {}).then(() => {
+                this.queuedSave = null;
+                return this.write();
+            });
+            this.currentSave = this.queuedSave;
+        }
+        return this.queuedSave;
+    }
+
+    // Write to a temporary file first so a crash mid-write never leaves a truncated manifest
+    async write() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const data = {
+            createdAt: this.createdAt,
+            updatedAt: new Date().toISOString(),
+            counts: this.counts(),
+            items: this.items
+        };
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
+
+ExportManifest.MANIFEST_FILE = MANIFEST_FILE;
+
+module.exports = ExportManifest;
@@ -0,0 +1,64 @@
+// Helpers for turning Marketo folder references into paths.
+
+// Assets reference their folder as { type, value } (emails.json) or { type, id } (folder parents)
+function folderRef(folder) {
+    if (!folder) {
+        return null;
+    }
+    const id = folder.value !== undefined ? folder.value : folder.id;
+    if (id === undefined || id === null) {
+        return null;
+    }
+    return { id, type: folder.type || 'Folder' };
+}
+
+function folderKey(ref) {
+    return `${ref.type}:${ref.id}`;
+}
+
+function formatFolderPath(folderPath) {
+    if (!folderPath || folderPath.length === 0) {
+        return 'Unknown Location';
+    }
+    return folderPath.map(folder => folder.name).join(' > ');
+}
+
+// Same sanitising the original bulk export used for directory names
+function sanitizePathSegment(name, fallback) {
+    const sanitized = String(name || '')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '_');
+    return sanitized || fallback;
+}
+
+// Nest a flat folders.json listing into a tree. Programs and folders have separate ID spaces,
+// so nodes are keyed by type and ID. Folders whose parent isn't in the listing become roots.
+function buildFolderTree(folders) {
+    const nodes = new Map();
+    for (const folder of folders) {
+        const ref = folderRef(folder.folderId) || { id: folder.id, type: 'Folder' };
+        nodes.set(folderKey(ref), { ...folder, children: [] });
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parentRef = folderRef(node.parent);
+        const parent = parentRef && nodes.get(folderKey(parentRef));
+        if (parent && parent !== node) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    return roots;
+}
+
+module.exports = {
+    buildFolderTree,
+    folderRef,
+    folderKey,
+    formatFolderPath,
+    sanitizePathSegment
+};
@@ -0,0 +1,182 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const ExportManifest = require('./export-manifest');
+const { mapWithConcurrency } = require('./pool');
+
+const CACHE_FILE = 'link-check-cache.json';
+const REPORT_FILE = 'link-check-report.json';
+const MAX_REDIRECTS = 10;
+
+// Servers that don't implement HEAD (or refuse it) answer with one of these; try GET instead
+const HEAD_UNSUPPORTED = [403, 404, 405, 501];
+
+// Point URLs at a staging mirror or local server: { "https://go.example.com": "http://localhost:8080" }.
+// The longest matching prefix wins.
+function createUrlRewriter(rewriteMap = {}) {
+    const prefixes = Object.keys(rewriteMap).sort((a, b) => b.length - a.length);
+    return url => {
+        const prefix = prefixes.find(candidate => url.startsWith(candidate));
+        return prefix ? rewriteMap[prefix] + url.slice(prefix.length) : url;
+    };
+}
+
+async function requestOnce(method, url, timeout) {
+    const response = await axios.request({
+        method,
+        url,
+        timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        // Only the status matters; don't download whole pages on the GET fallback
+        responseType: 'stream'
+    });
+    response.data.destroy();
+    return response;
+}
+
+// Follow redirects by hand so every hop ends up in the result
+async function checkUrl(url, options = {}) {
+    const timeout = options.timeout || 10000;
+    const redirects = [];
+    let current = url;
+
+    try {
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            let response = await requestOnce('HEAD', current, timeout)
+                .catch(() => null);
+            if (!response || HEAD_UNSUPPORTED.includes(response.status)) {
+                response = await requestOnce('GET', current, timeout);
+            }
+
+            const location = response.headers.location;
+            if (response.status >= 300 && response.status < 400 && location) {
+                const next = new URL(location, current).href;
+                redirects.push({ status: response.status, from: current, to: next });
+                current = next;
+                continue;
+            }
+
+            return {
+                status: response.status,
+                ok: response.status >= 200 && response.status < 300,
+                finalUrl: current,
+                redirects
+            };
+        }
+        return { status: null, ok: false, finalUrl: current, redirects, error: `More than ${MAX_REDIRECTS} redirects` };
+    } catch (error) {
+        return { status: null, ok: false, finalUrl: current, redirects, error: error.code || error.message };
+    }
+}
+
+async function loadCache(cachePath) {
+    try {
+        return JSON.parse(await fs.readFile(cachePath, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+// Check every web link in the links.json files of an export and write a report of the
+// broken and redirected ones per email. Results are cached in the export directory so
+// repeated runs only hit URLs whose last check is older than `maxAge` milliseconds.
+//
+// Options: concurrency (5), timeout (10000), rewrite ({ prefix: replacement }),
+//          cache (true), maxAge (24 hours)
+async function checkExportLinks(exportDir, options = {}, progressCallback) {
+    const manifest = await ExportManifest.load(exportDir);
+    const items = manifest.doneItems('emails');
+    if (items.length === 0) {
+        throw new Error(`No exported emails found in ${exportDir} (is ${ExportManifest.MANIFEST_FILE} there?)`);
+    }
+
+    const rewrite = createUrlRewriter(options.rewrite);
+    const maxAge = options.maxAge !== undefined ? options.maxAge : 24 * 60 * 60 * 1000;
+    const cachePath = path.join(exportDir, CACHE_FILE);
+    const cache = options.cache === false ? {} : await loadCache(cachePath);
+
+    const emails = [];
+    const urls = new Set();
+    for (const item of items) {
+        let links;
+        try {
+            links = JSON.parse(await fs.readFile(path.join(exportDir, item.dir, 'links.json'), 'utf8'));
+        } catch (error) {
+            continue;
+        }
+        const webLinks = links.filter(link => link.type === 'web');
+        webLinks.forEach(link => urls.add(rewrite(link.url)));
+        emails.push({ item, links: webLinks });
+    }
+
+    const now = Date.now();
+    const pending = [...urls].filter(url => {
+        const cached = cache[url];
+        return !cached || now - new Date(cached.checkedAt).getTime() > maxAge;
+    });
+
+    let checked = 0;
+    await mapWithConcurrency(pending, options.concurrency || 5, async url => {
+        cache[url] = { ...await checkUrl(url, options), checkedAt: new Date().toISOString() };
+        checked++;
+        if (progressCallback) {
+            progressCallback({ checked, total: pending.length });
+        }
+    });
+
+    if (options.cache !== false) {
+        await fs.writeFile(cachePath, JSON.stringify(cache, null, 2));
+    }
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        rewrite: options.rewrite || {},
+        summary: { urls: urls.size, checked: pending.length, fromCache: urls.size - pending.length, ok: 0, redirected: 0, broken: 0 },
+        emails: []
+    };
+
+    for (const url of urls) {
+        const result = cache[url];
+        if (!result.ok) {
+            report.summary.broken++;
+        } else if (result.redirects.length > 0) {
+            report.summary.redirected++;
+        } else {
+            report.summary.ok++;
+        }
+    }
+
+    for (const { item, links } of emails) {
+        const broken = [];
+        const redirected = [];
+        for (const link of links) {
+            const checkedUrl = rewrite(link.url);
+            const result = cache[checkedUrl];
+            const entry = { url: link.url, text: link.text, status: result.status };
+            if (checkedUrl !== link.url) {
+                entry.checkedUrl = checkedUrl;
+            }
+
+            if (!result.ok) {
+                broken.push({ ...entry, error: result.error || null, finalUrl: result.finalUrl });
+            } else if (result.redirects.length > 0) {
+                redirected.push({ ...entry, finalUrl: result.finalUrl, redirects: result.redirects });
+            }
+        }
+
+        if (broken.length > 0 || redirected.length > 0) {
+            report.emails.push({ id: item.id, name: item.name, dir: item.dir, broken, redirected });
+        }
+    }
+
+    const reportPath = path.join(exportDir, REPORT_FILE);
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    return { ...report, reportPath };
+}
+
+module.exports = {
+    checkUrl,
+    checkExportLinks,
+    createUrlRewriter
+};
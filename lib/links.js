@@ -0,0 +1,121 @@
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTokenPattern } = require('./tokens');
+
+const LINKS_CSV = 'links.csv';
+const UTM_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// Domains Marketo serves landing pages, files and tracking redirects from. Branded
+// domains (e.g. go.example.com) are passed in as `marketoDomains`.
+const MARKETO_DOMAINS = ['marketo.com', 'marketo.net', 'mktoweb.com', 'mktoedge.com', 'mktossl.com', 'mktdns.com'];
+
+// ?mkt_tok=...&a=1 -> ?a=1, &mkt_tok=... -> '', in raw HTML as well as plain URLs
+const MKT_TOK_PATTERN = /(\?|&amp;|&)mkt_tok=[^&#"'\s<>]*(&amp;|&)?/g;
+
+function stripMktTok(text) {
+    return (text || '').replace(MKT_TOK_PATTERN, (match, separator, next) => (next ? separator : ''));
+}
+
+function linkType(url) {
+    if (createTokenPattern().test(url)) {
+        return 'token';
+    }
+    if (url.startsWith('#')) {
+        return 'anchor';
+    }
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) {
+        return 'relative';
+    }
+    return ['http', 'https'].includes(scheme[1].toLowerCase()) ? 'web' : scheme[1].toLowerCase();
+}
+
+function isMarketoHost(hostname, marketoDomains) {
+    const host = hostname.toLowerCase();
+    return [...MARKETO_DOMAINS, ...marketoDomains].some(domain => {
+        const suffix = domain.toLowerCase();
+        return host === suffix || host.endsWith(`.${suffix}`);
+    });
+}
+
+// One entry per <a>/<area> link: where it goes, the text it shows (or the alt of a linked
+// image), and for web links the host, UTM parameters and whether it carries mkt_tok
+function extractLinks(html, options = {}) {
+    const marketoDomains = options.marketoDomains || [];
+    const $ = cheerio.load(html || '');
+
+    return $('a[href], area[href]').toArray().map((element, index) => {
+        const link = $(element);
+        const url = link.attr('href').trim();
+        const text = link.text().replace(/\s+/g, ' ').trim() ||
+            link.find('img[alt]').first().attr('alt') ||
+            link.attr('alt') ||
+            '';
+        const type = linkType(url);
+        const entry = { index, url, text, type, host: null, marketoHosted: false, hasMktTok: false, utm: {} };
+
+        if (type === 'web') {
+            try {
+                const parsed = new URL(url);
+                entry.host = parsed.hostname;
+                entry.marketoHosted = isMarketoHost(parsed.hostname, marketoDomains);
+                entry.hasMktTok = parsed.searchParams.has('mkt_tok');
+                UTM_PARAMETERS.forEach(name => {
+                    if (parsed.searchParams.has(name)) {
+                        entry.utm[name] = parsed.searchParams.get(name);
+                    }
+                });
+            } catch (error) {
+                entry.type = 'invalid';
+            }
+        }
+
+        return entry;
+    });
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export-wide links.csv from the links.json of every exported email in the manifest
+async function buildLinkReport(outputDir, manifest) {
+    const header = ['email_id', 'email_name', 'url', 'anchor_text', 'type', 'marketo_hosted', 'has_mkt_tok', ...UTM_PARAMETERS];
+    const rows = [header];
+
+    for (const item of manifest.doneItems('emails')) {
+        let links;
+        try {
+            links = JSON.parse(await fs.readFile(path.join(outputDir, item.dir, 'links.json'), 'utf8'));
+        } catch (error) {
+            continue;
+        }
+
+        for (const link of links) {
+            rows.push([
+                item.id,
+                item.name,
+                link.url,
+                link.text,
+                link.type,
+                link.marketoHosted,
+                link.hasMktTok,
+                ...UTM_PARAMETERS.map(name => link.utm[name])
+            ]);
+        }
+    }
+
+    const reportPath = path.join(outputDir, LINKS_CSV);
+    await fs.writeFile(reportPath, rows.map(row => row.map(csvField).join(',')).join('\n') + '\n');
+    return reportPath;
+}
+
+module.exports = {
+    MARKETO_DOMAINS,
+    UTM_PARAMETERS,
+    extractLinks,
+    stripMktTok,
+    buildLinkReport
+};
@@ -0,0 +1,367 @@
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+const ExportManifest = require('./export-manifest');
+
+const JSON_REPORT = 'lint-report.json';
+const HTML_REPORT = 'lint-report.html';
+
+// Gmail clips messages whose HTML is larger than this and hides the rest behind "View entire message"
+const GMAIL_CLIP_BYTES = 102 * 1024;
+const MAX_EXAMPLES = 5;
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+// Browsers close these for you, so leaving them open at the very end isn't worth a report
+const IMPLIED_END_AT_EOF = ['html', 'head', 'body'];
+// Elements whose end tag may be left out, with the start tags that close them the way the
+// parser does. They are also closed by the end of their parent.
+const TABLE_SECTIONS = ['tbody', 'thead', 'tfoot'];
+const OPTIONAL_END_TAGS = {
+    p: [
+        'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption',
+        'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+        'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+    ],
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    td: ['td', 'th', 'tr', ...TABLE_SECTIONS],
+    th: ['td', 'th', 'tr', ...TABLE_SECTIONS],
+    tr: ['tr', ...TABLE_SECTIONS],
+    thead: TABLE_SECTIONS,
+    tbody: TABLE_SECTIONS,
+    tfoot: TABLE_SECTIONS,
+    option: ['option', 'optgroup'],
+    colgroup: ['colgroup', 'caption', 'tr', ...TABLE_SECTIONS]
+};
+
+function hasOptionalEnd(name) {
+    return Object.prototype.hasOwnProperty.call(OPTIONAL_END_TAGS, name);
+}
+
+function lineAt(html, index) {
+    return html.slice(0, index).split('\n').length;
+}
+
+function elementLine(element) {
+    return element.sourceCodeLocation ? element.sourceCodeLocation.startLine : null;
+}
+
+// Open/close tag balance, read from the source since the parser silently repairs it.
+// Comments (including Outlook conditional comments), script, style and <title> contents are skipped.
+// Elements with an optional end tag (<p>, <li>, <td>, ...) close implicitly, as in the parser.
+function findUnclosedTags(html) {
+    const problems = [];
+    const stack = [];
+    const pattern = /<!--[\s\S]*?-->|<(script|style|title)\b[^>]*>[\s\S]*?<\/\1\s*>|<(\/?)([a-zA-Z][\w:-]*)\b(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/gi;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        const [, rawText, closing, rawName, selfClosing] = match;
+        if (rawText || !rawName) {
+            continue;
+        }
+        const name = rawName.toLowerCase();
+        if (VOID_ELEMENTS.includes(name) || selfClosing) {
+            continue;
+        }
+
+        if (!closing) {
+            // A start tag closes the open elements it implies the end of, e.g. <li> an open <li>
+            // along with a <p> inside it
+            for (let index = stack.length - 1; index >= 0 && hasOptionalEnd(stack[index].name); index--) {
+                if (OPTIONAL_END_TAGS[stack[index].name].includes(name)) {
+                    stack.splice(index);
+                    break;
+                }
+            }
+            stack.push({ name, line: lineAt(html, match.index) });
+            continue;
+        }
+
+        const openIndex = stack.map(entry => entry.name).lastIndexOf(name);
+        if (openIndex === -1) {
+            problems.push({ line: lineAt(html, match.index), detail: `</${name}> has no matching <${name}>` });
+            continue;
+        }
+        // Everything opened after the match was never closed
+        stack.splice(openIndex).slice(1)
+            .filter(entry => !hasOptionalEnd(entry.name))
+            .forEach(entry => {
+                problems.push({ line: entry.line, detail: `<${entry.name}> is not closed before </${name}>` });
+            });
+    }
+
+    stack
+        .filter(entry => !IMPLIED_END_AT_EOF.includes(entry.name) && !hasOptionalEnd(entry.name))
+        .forEach(entry => problems.push({ line: entry.line, detail: `<${entry.name}> is never closed` }));
+
+    return problems.sort((a, b) => a.line - b.line);
+}
+
+function hasBackgroundImage(css) {
+    return /background(-image)?\s*:[^;}]*url\(/i.test(css || '');
+}
+
+// Each rule returns the places it found a problem, as [{ line, detail }]; an empty list passes
+const RULES = [
+    {
+        id: 'doctype',
+        severity: 'warning',
+        message: 'No <!DOCTYPE> declaration; clients may render in quirks mode',
+        check: ({ html }) => (/<!doctype/i.test(html) ? [] : [{ line: 1 }])
+    },
+    {
+        id: 'viewport',
+        severity: 'warning',
+        message: 'No viewport <meta> tag; mobile clients will render at desktop width',
+        check: ({ $ }) => ($('meta[name="viewport" i]').length ? [] : [{ line: null }])
+    },
+    {
+        id: 'unclosed-tags',
+        severity: 'error',
+        message: 'Unclosed or mismatched tags',
+        check: ({ html }) => findUnclosedTags(html)
+    },
+    {
+        id: 'external-stylesheet',
+        severity: 'error',
+        message: 'External stylesheets are stripped by most email clients; inline the CSS',
+        check: ({ $ }) => {
+            const problems = [];
+            $('link[href]').each((index, element) => {
+                const rel = ($(element).attr('rel') || '').toLowerCase().split(/\s+/);
+                if (rel.includes('stylesheet')) {
+                    problems.push({ line: elementLine(element), detail: $(element).attr('href') });
+                }
+            });
+            $('style').each((index, element) => {
+                const imports = $(element).html().match(/@import\s+[^;]+/gi) || [];
+                imports.forEach(rule => problems.push({ line: elementLine(element), detail: rule }));
+            });
+            return problems;
+        }
+    },
+    {
+        id: 'script',
+        severity: 'error',
+        message: '<script> is removed or blocked by every major email client',
+        check: ({ $ }) => $('script').toArray().map(element => ({
+            line: elementLine(element),
+            detail: $(element).attr('src') || 'inline script'
+        }))
+    },
+    {
+        id: 'form',
+        severity: 'warning',
+        message: 'Forms and form controls only work in some email clients',
+        check: ({ $ }) => $('form, input, select, textarea, button').toArray().map(element => ({
+            line: elementLine(element),
+            detail: `<${element.tagName}>`
+        }))
+    },
+    {
+        id: 'background-image',
+        severity: 'warning',
+        message: 'Background images are not shown in Outlook on Windows without VML fallbacks',
+        check: ({ $ }) => {
+            const problems = [];
+            $('[background]').each((index, element) => {
+                problems.push({ line: elementLine(element), detail: `background="${$(element).attr('background')}"` });
+            });
+            $('[style]').each((index, element) => {
+                if (hasBackgroundImage($(element).attr('style'))) {
+                    problems.push({ line: elementLine(element), detail: `<${element.tagName} style>` });
+                }
+            });
+            $('style').each((index, element) => {
+                if (hasBackgroundImage($(element).html())) {
+                    problems.push({ line: elementLine(element), detail: '<style> block' });
+                }
+            });
+            return problems;
+        }
+    },
+    {
+        id: 'img-alt',
+        severity: 'warning',
+        message: 'Images without an alt attribute; shown as blank boxes when images are blocked',
+        check: ({ $ }) => $('img:not([alt])').toArray().map(element => ({
+            line: elementLine(element),
+            detail: $(element).attr('src') || '<img>'
+        }))
+    },
+    {
+        id: 'size',
+        severity: 'error',
+        message: `HTML is larger than ${GMAIL_CLIP_BYTES / 1024}KB; Gmail will clip the message`,
+        check: ({ html }) => {
+            const bytes = Buffer.byteLength(html, 'utf8');
+            return bytes > GMAIL_CLIP_BYTES ? [{ line: null, detail: `${(bytes / 1024).toFixed(1)}KB` }] : [];
+        }
+    },
+    {
+        id: 'marketo-markup',
+        severity: 'warning',
+        message: 'Leftover Marketo editor markup (mktEditable, mkto* classes, mktoName)',
+        check: ({ $ }) => $('.mktEditable, [class*="mkto"], [mktoname]').toArray().map(element => {
+            const name = $(element).attr('mktoname');
+            const id = $(element).attr('id');
+            return {
+                line: elementLine(element),
+                detail: `<${element.tagName}${id ? ` id="${id}"` : ''}${name ? ` mktoName="${name}"` : ''}>`
+            };
+        })
+    }
+];
+
+// Issues for one document, one entry per failing rule with the number of occurrences
+// and the first few of them
+function lintHtml(html) {
+    const source = html || '';
+    const $ = cheerio.load(source, { sourceCodeLocationInfo: true });
+    const issues = [];
+
+    for (const rule of RULES) {
+        const problems = rule.check({ html: source, $ });
+        if (problems.length > 0) {
+            issues.push({
+                rule: rule.id,
+                severity: rule.severity,
+                message: rule.message,
+                count: problems.length,
+                examples: problems.slice(0, MAX_EXAMPLES)
+            });
+        }
+    }
+
+    return issues;
+}
+
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderHtmlReport(report) {
+    const ruleRows = RULES.map(rule => `<tr><td><code>${rule.id}</code></td><td class="${rule.severity}">${rule.severity}</td><td>${escapeHtml(rule.message)}</td><td>${report.summary.byRule[rule.id] || 0}</td></tr>`).join('\n');
+
+    const emailSections = report.emails.filter(email => email.issues.length > 0).map(email => {
+        const rows = email.issues.map(issue => {
+            const examples = issue.examples
+                .map(example => `<li>${example.line ? `line ${example.line}: ` : ''}${escapeHtml(example.detail || '')}</li>`)
+                .join('');
+            return `<tr><td class="${issue.severity}">${issue.severity}</td><td><code>${issue.rule}</code></td><td>${escapeHtml(issue.message)}</td><td>${issue.count}</td><td><ul>${examples}</ul></td></tr>`;
+        }).join('\n');
+        return `<section>
+<h2>${escapeHtml(email.name)} <small>${escapeHtml(email.type)} ${escapeHtml(email.id)} &middot; <a href="${escapeHtml(email.file)}">${escapeHtml(email.file)}</a> &middot; ${(email.size / 1024).toFixed(1)}KB</small></h2>
+<table>
+<tr><th>Severity</th><th>Rule</th><th>Problem</th><th>Count</th><th>Where</th></tr>
+${rows}
+</table>
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Email lint report</title>
+<style>
+body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+ul { margin: 0; padding-left: 1.2em; }
+small { color: #666; font-weight: normal; }
+.error { color: #b00020; font-weight: bold; }
+.warning { color: #a15c00; }
+</style>
+</head>
+<body>
+<h1>Email lint report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}. ${report.summary.emails} emails checked: ${report.summary.withErrors} with errors, ${report.summary.withWarnings} with warnings only, ${report.summary.clean} clean.</p>
+<table>
+<tr><th>Rule</th><th>Severity</th><th>Checks for</th><th>Emails</th></tr>
+${ruleRows}
+</table>
+${emailSections}
+</body>
+</html>
+`;
+}
+
+// Lint the HTML of every exported email (and email template) in an export and write
+// lint-report.json and lint-report.html to `outputDir` (the export directory by default)
+async function lintExport(exportDir, options = {}) {
+    const types = options.types || ['emails', 'emailTemplates'];
+    const outputDir = options.outputDir || exportDir;
+    const manifest = await ExportManifest.load(exportDir);
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        summary: { emails: 0, withErrors: 0, withWarnings: 0, clean: 0, byRule: {} },
+        emails: []
+    };
+
+    for (const typeName of types) {
+        for (const item of manifest.doneItems(typeName)) {
+            const file = path.join(item.dir, `${item.id}.html`);
+            let html;
+            try {
+                html = await fs.readFile(path.join(exportDir, file), 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            const issues = lintHtml(html);
+            report.emails.push({
+                type: typeName,
+                id: item.id,
+                name: item.name,
+                file: path.relative(outputDir, path.join(exportDir, file)).split(path.sep).join('/'),
+                size: Buffer.byteLength(html, 'utf8'),
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length,
+                issues
+            });
+        }
+    }
+
+    if (report.emails.length === 0) {
+        throw new Error(`No exported emails found in ${exportDir} (is ${ExportManifest.MANIFEST_FILE} there?)`);
+    }
+
+    for (const email of report.emails) {
+        report.summary.emails++;
+        if (email.errors > 0) {
+            report.summary.withErrors++;
+        } else if (email.warnings > 0) {
+            report.summary.withWarnings++;
+        } else {
+            report.summary.clean++;
+        }
+        email.issues.forEach(issue => {
+            report.summary.byRule[issue.rule] = (report.summary.byRule[issue.rule] || 0) + 1;
+        });
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const jsonPath = path.join(outputDir, JSON_REPORT);
+    const htmlPath = path.join(outputDir, HTML_REPORT);
+    await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+    await fs.writeFile(htmlPath, renderHtmlReport(report));
+
+    return { ...report, jsonPath, htmlPath };
+}
+
+module.exports = {
+    GMAIL_CLIP_BYTES,
+    RULES,
+    findUnclosedTags,
+    lintHtml,
+    lintExport
+};
@@ -2,6 +2,25 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const archiver = require('archiver');
+const DEFAULT_ASSET_TYPES = require('./asset-types');
+const ExportManifest = require('./export-manifest');
+const RunReport = require('./run-report');
+const RateLimiter = require('./rate-limiter');
+const { mapWithConcurrency } = require('./pool');
+const { AssetLocalizer } = require('./assets');
+const ScreenshotRenderer = require('./screenshots');
+const { buildLinkReport } = require('./links');
+const { buildTokenReport, writeFolderTokens } = require('./tokens');
+const { folderRef, folderKey, formatFolderPath, sanitizePathSegment, buildFolderTree } = require('./folders');
+const { parseMarketoDate } = require('./dates');
+const { METADATA_MODES, buildAssetMetadata, writeMetadataSchema } = require('./metadata');
+const {
+    MarketoApiError,
+    MarketoHttpError,
+    MarketoAuthError,
+    isTokenError,
+    isRetryableError
+} = require('./errors');
 
 class MarketoClient {
     constructor(config) {
@@ -11,74 +30,352 @@ class MarketoClient {
         this.restUrl = config.restUrl;
         this.accessToken = null;
         this.tokenExpiry = null;
+        this.pendingAuthentication = null;
+        this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 5;
+        this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : 1000;
+        this.maxRetryDelay = config.maxRetryDelay !== undefined ? config.maxRetryDelay : 30000;
+        // Pass `rateLimiter` to share one limiter between several clients on the same instance
+        this.rateLimiter = config.rateLimiter || new RateLimiter(config.rateLimit);
+        this.assetTypes = { ...DEFAULT_ASSET_TYPES };
+        this.folderCache = new Map();
+        this.folderTokenCache = new Map();
+        this.folderMaxDepth = config.folderMaxDepth || 20;
+    }
+
+    registerAssetType(name, definition) {
+        this.assetTypes[name] = definition;
+    }
+
+    getAssetType(name) {
+        const assetType = this.assetTypes[name];
+        if (!assetType) {
+            throw new Error(`Unknown asset type "${name}". Available types: ${Object.keys(this.assetTypes).join(', ')}`);
+        }
+        return assetType;
     }
 
     async authenticate() {
         const tokenRequestUrl = `${this.identityUrl}?grant_type=client_credentials&client_id=${this.clientId}&client_secret=${this.clientSecret}`;
-        
+
+        let response;
         try {
-            const response = await axios.get(tokenRequestUrl);
-            if (response.data && response.data.access_token) {
-                this.accessToken = response.data.access_token;
-                this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
-                return this.accessToken;
-            }
-            throw new Error('Invalid authentication response');
+            response = await axios.get(tokenRequestUrl);
         } catch (error) {
-            throw new Error(`Authentication failed: ${error.message}`);
+            const description = error.response && error.response.data && error.response.data.error_description;
+            throw new MarketoAuthError(description || error.message, error.response ? error.response.status : null);
+        }
+
+        if (response.data && response.data.access_token) {
+            this.accessToken = response.data.access_token;
+            this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+            return this.accessToken;
         }
+        throw new MarketoAuthError('Invalid authentication response');
     }
 
     async getAccessToken() {
         if (!this.accessToken || Date.now() >= this.tokenExpiry - 5 * 60 * 1000) {
-            await this.authenticate();
+            // Requests in flight at the same time share one authentication
+            if (!this.pendingAuthentication) {
+                this.pendingAuthentication = this.authenticate().finally(() => {
+                    this.pendingAuthentication = null;
+                });
+            }
+            await this.pendingAuthentication;
         }
         return this.accessToken;
     }
 
-    async getAllTemplates(progressCallback) {
-        const templates = [];
+    // Exponential backoff with jitter: somewhere between half and all of base * 2^attempt
+    getRetryDelay(attempt) {
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    // Every REST call goes through here. Rate limit (606), concurrency (615), timeout (604),
+    // 5xx and dropped connections are retried with backoff; an invalid or expired token
+    // (601/602) is refreshed and the call retried straight away.
+    async request(method, endpoint, { params, data } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let accessToken = null;
+            try {
+                accessToken = await this.getAccessToken();
+                let response;
+                try {
+                    response = await this.rateLimiter.schedule(() => axios.request({
+                        method,
+                        url: `${this.restUrl}${endpoint}`,
+                        headers: { 'Authorization': `Bearer ${accessToken}` },
+                        params,
+                        data
+                    }));
+                } catch (error) {
+                    throw new MarketoHttpError(error, endpoint);
+                }
+
+                if (!response.data || !response.data.success) {
+                    throw MarketoApiError.fromResponse(response.data || {}, endpoint);
+                }
+
+                return response.data;
+            } catch (error) {
+                if (attempt >= this.maxRetries || !isRetryableError(error)) {
+                    throw error;
+                }
+                if (isTokenError(error)) {
+                    // Unless another request has already replaced the token
+                    if (this.accessToken === accessToken) {
+                        this.accessToken = null;
+                    }
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(attempt)));
+                }
+            }
+        }
+    }
+
+    async apiGet(endpoint, params = {}) {
+        return this.request('get', endpoint, { params });
+    }
+
+    async getPagedResults(endpoint, progressCallback, params = {}) {
+        const results = [];
         let offset = 0;
         const maxReturn = 200;
 
         while (true) {
-            const accessToken = await this.getAccessToken();
-            const response = await axios.get(`${this.restUrl}/asset/v1/emails.json`, {
-                headers: { 'Authorization': `Bearer ${accessToken}` },
-                params: { maxReturn, offset }
-            });
+            const data = await this.apiGet(endpoint, { ...params, maxReturn, offset });
 
-            if (!response.data.success) {
-                throw new Error('Failed to fetch templates');
-            }
+            // Marketo omits `result` entirely once the offset runs past the last asset
+            const page = data.result || [];
+            results.push(...page);
 
-            templates.push(...response.data.result);
-            
             if (progressCallback) {
-                progressCallback(templates.length);
+                progressCallback(results.length);
             }
 
-            if (response.data.result.length < maxReturn) {
+            if (page.length < maxReturn) {
                 break;
             }
             offset += maxReturn;
         }
 
-        return templates;
+        return results;
+    }
+
+    async getAllAssets(typeName, progressCallback) {
+        return this.getPagedResults(this.getAssetType(typeName).listEndpoint, progressCallback);
+    }
+
+    async getAllTemplates(progressCallback) {
+        return this.getAllAssets('emails', progressCallback);
+    }
+
+    async getAllEmailTemplates(progressCallback) {
+        return this.getAllAssets('emailTemplates', progressCallback);
+    }
+
+    async getEmail(emailId) {
+        const data = await this.apiGet(`/asset/v1/email/${emailId}.json`);
+        const [email] = data.result || [];
+        if (!email) {
+            throw new Error(`Email ${emailId} not found`);
+        }
+        return email;
+    }
+
+    // Same fallback chain as getCompleteEmailContent in the original implementation:
+    // fullContent.json (the complete rendered document), then the HTML sections of content.json.
+    // Returns the HTML together with the strategy that produced it, and the content.json
+    // sections when they were fetched.
+    async getEmailContent(emailId) {
+        let fullContentError;
+        try {
+            const data = await this.apiGet(`/asset/v1/email/${emailId}/fullContent.json`);
+            const [result] = data.result || [];
+            if (result && result.content) {
+                return { html: result.content, strategy: 'fullContent' };
+            }
+            fullContentError = 'empty response';
+        } catch (error) {
+            fullContentError = error.message;
+        }
+
+        const data = await this.apiGet(`/asset/v1/email/${emailId}/content.json`);
+        const html = this.extractHtmlContent(data.result || []);
+        if (html) {
+            // The sections come along so callers don't have to fetch content.json again
+            return { html, strategy: 'contentSections', sections: data.result || [] };
+        }
+
+        throw new Error(`Could not retrieve HTML content for email ID ${emailId} (fullContent.json: ${fullContentError}; content.json: no HTML sections)`);
+    }
+
+    // Marketo's stored text version: the text part of fullContent.json
+    async getEmailText(emailId) {
+        const data = await this.apiGet(`/asset/v1/email/${emailId}/fullContent.json`, { type: 'Text' });
+        const [result] = data.result || [];
+        return result && result.content ? result.content : '';
+    }
+
+    async getEmailSections(emailId) {
+        const data = await this.apiGet(`/asset/v1/email/${emailId}/content.json`);
+        return data.result || [];
+    }
+
+    async getEmailVariables(emailId) {
+        const data = await this.apiGet(`/asset/v1/email/${emailId}/variables.json`);
+        return data.result || [];
     }
 
     async getTemplateContent(templateId) {
-        const accessToken = await this.getAccessToken();
-        const response = await axios.get(
-            `${this.restUrl}/asset/v1/email/${templateId}/content.json`,
-            { headers: { 'Authorization': `Bearer ${accessToken}` } }
-        );
+        const { html } = await this.getEmailContent(templateId);
+        return html;
+    }
+
+    async getEmailTemplateContent(emailTemplateId) {
+        const data = await this.apiGet(`/asset/v1/emailTemplate/${emailTemplateId}/content.json`);
+        const [result] = data.result || [];
+        return result ? result.content : '';
+    }
+
+    async getLandingPageContent(landingPageId) {
+        const data = await this.apiGet(`/asset/v1/landingPage/${landingPageId}/fullContent.json`);
+        const [result] = data.result || [];
+        return result ? result.content : '';
+    }
+
+    async getLandingPageTemplateContent(landingPageTemplateId) {
+        const data = await this.apiGet(`/asset/v1/landingPageTemplate/${landingPageTemplateId}/content.json`);
+        const [result] = data.result || [];
+        return result ? result.content : '';
+    }
+
+    async getSnippetContent(snippetId) {
+        const data = await this.apiGet(`/asset/v1/snippet/${snippetId}/content.json`);
+        return (data.result || [])
+            .filter(section => section.type === 'HTML' && section.content)
+            .map(section => section.content)
+            .join('\n');
+    }
 
-        if (!response.data.success) {
-            throw new Error(`Failed to fetch template content for ID ${templateId}`);
+    async getFormFields(formId) {
+        const data = await this.apiGet(`/asset/v1/form/${formId}/fields.json`);
+        return data.result || [];
+    }
+
+    // Folder lookups are cached (as promises, so concurrent exports share one request)
+    // because every asset in a folder asks for the same parents
+    async getFolder(folder) {
+        const ref = folderRef(folder);
+        if (!ref) {
+            return null;
         }
 
-        return this.extractHtmlContent(response.data.result);
+        const key = folderKey(ref);
+        if (!this.folderCache.has(key)) {
+            const lookup = this.apiGet(`/asset/v1/folder/${ref.id}.json`, { type: ref.type })
+                .then(data => (data.result && data.result[0]) || null)
+                .catch(error => {
+                    // Don't keep a failed lookup around; a later asset may have better luck
+                    this.folderCache.delete(key);
+                    throw error;
+                });
+            this.folderCache.set(key, lookup);
+        }
+        return this.folderCache.get(key);
+    }
+
+    // Page through folders.json once (folders, programs and workspaces) and seed the folder
+    // cache with the result, so resolving asset paths afterwards needs no further requests
+    async prefetchFolders(progressCallback) {
+        const folders = await this.getPagedResults('/asset/v1/folders.json', progressCallback, {
+            maxDepth: this.folderMaxDepth
+        });
+        for (const folder of folders) {
+            const ref = folderRef(folder.folderId) || { id: folder.id, type: 'Folder' };
+            this.folderCache.set(folderKey(ref), Promise.resolve(folder));
+        }
+        return folders;
+    }
+
+    async exportFolderTree(outputDir, progressCallback) {
+        const folders = await this.prefetchFolders(progressCallback);
+        const foldersPath = path.join(outputDir, 'folders.json');
+        await fs.mkdir(outputDir, { recursive: true });
+        await fs.writeFile(foldersPath, JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            count: folders.length,
+            tree: buildFolderTree(folders)
+        }, null, 2));
+        return foldersPath;
+    }
+
+    // My Tokens available in a folder or program, cached like folder lookups
+    async getFolderTokens(folder) {
+        const ref = folderRef(folder);
+        if (!ref) {
+            return [];
+        }
+
+        const key = folderKey(ref);
+        if (!this.folderTokenCache.has(key)) {
+            const lookup = this.apiGet(`/asset/v1/folder/${ref.id}/tokens.json`, { folderType: ref.type })
+                .then(data => (data.result && data.result[0] && data.result[0].tokens) || [])
+                .catch(error => {
+                    this.folderTokenCache.delete(key);
+                    throw error;
+                });
+            this.folderTokenCache.set(key, lookup);
+        }
+        return this.folderTokenCache.get(key);
+    }
+
+    // My Tokens an asset in `folder` inherits: each folder and program on the way down from
+    // the root contributes its tokens, and a token defined further down overrides its parent's.
+    // Returns the tokens per folder as well as the resolved list.
+    async getInheritedTokens(folder) {
+        const folderPath = await this.getFolderPath(folder);
+        const folders = [];
+        const resolved = new Map();
+
+        for (let depth = 0; depth < folderPath.length; depth++) {
+            const current = folderPath[depth];
+            // Workspaces can't hold tokens
+            if (current.folderType === 'Zone') {
+                continue;
+            }
+            const ref = folderRef(current.folderId) || { id: current.id, type: 'Folder' };
+            const tokens = await this.getFolderTokens(ref);
+            folders.push({ key: folderKey(ref), folder: current, path: folderPath.slice(0, depth + 1), tokens });
+            for (const token of tokens) {
+                resolved.set(token.name, {
+                    ...token,
+                    definedIn: { id: ref.id, type: ref.type, name: current.name }
+                });
+            }
+        }
+
+        return { folders, tokens: [...resolved.values()] };
+    }
+
+    // Ancestors of a folder, root first, following `parent` the way buildFolderPath did
+    async getFolderPath(folder) {
+        const folderPath = [];
+        const seen = new Set();
+        let current = await this.getFolder(folder);
+
+        while (current) {
+            const key = folderKey(folderRef(current.folderId || { id: current.id, type: 'Folder' }));
+            if (seen.has(key)) {
+                break;
+            }
+            seen.add(key);
+            folderPath.unshift(current);
+            current = current.parent ? await this.getFolder(current.parent) : null;
+        }
+
+        return folderPath;
     }
 
     extractHtmlContent(contentSections) {
@@ -98,75 +395,316 @@ class MarketoClient {
         return htmlContent;
     }
 
-    async exportTemplate(template, outputDir) {
-        const templateDir = path.join(outputDir, `template_${template.id}`);
-        await fs.mkdir(templateDir, { recursive: true });
+    // Map of email template ID -> emails built on it, from the `template` field of emails.json
+    buildTemplateUsage(emails) {
+        const usage = new Map();
+        for (const email of emails) {
+            if (!email.template) {
+                continue;
+            }
+            if (!usage.has(email.template)) {
+                usage.set(email.template, []);
+            }
+            usage.get(email.template).push({ id: email.id, name: email.name });
+        }
+        return usage;
+    }
 
-        // Save metadata
-        const metadata = {
-            id: template.id,
-            name: template.name,
-            status: template.status,
-            createdAt: template.createdAt,
-            updatedAt: template.updatedAt,
-            folder: template.folder,
-            subject: template.subject,
-            fromName: template.fromName,
-            fromEmail: template.fromEmail
+    // Shared state for one export run; listings are fetched at most once per type
+    createExportContext(options = {}, outputDir) {
+        const listings = new Map();
+        return {
+            layout: options.layout || 'flat',
+            metadataMode: options.metadata || 'basic',
+            sections: options.sections !== false,
+            text: options.text !== false,
+            velocity: options.velocity !== false,
+            myTokens: options.myTokens !== false,
+            links: options.links !== false,
+            marketoDomains: options.marketoDomains || [],
+            stripMktTok: Boolean(options.stripMktTok),
+            screenshots: options.screenshots ? new ScreenshotRenderer() : null,
+            sampleData: options.sampleData || {},
+            clean: Boolean(options.clean || options.inlineCss),
+            inlineCss: Boolean(options.inlineCss),
+            templateFormat: options.templateFormat || null,
+            // Folders whose tokens were looked up during the run, written to tokens/ at the end
+            tokenFolders: new Map(),
+            assets: options.assets && outputDir
+                ? new AssetLocalizer(outputDir, { baseUrl: options.assetsBaseUrl })
+                : null,
+            getListing: (typeName, progressCallback) => {
+                if (!listings.has(typeName)) {
+                    listings.set(typeName, this.getAllAssets(typeName, progressCallback));
+                }
+                return listings.get(typeName);
+            }
         };
+    }
 
-        await fs.writeFile(
-            path.join(templateDir, 'metadata.json'),
-            JSON.stringify(metadata, null, 2)
-        );
+    async exportAsset(typeName, asset, outputDir, context = this.createExportContext()) {
+        const assetType = this.getAssetType(typeName);
+        const metadata = buildAssetMetadata(assetType, asset, context.metadataMode);
 
-        // Get and save HTML content
+        let assetDir = path.join(outputDir, assetType.directory, `${assetType.dirPrefix}_${asset.id}`);
+        if (context.layout === 'folders') {
+            // Mirror the Marketo folder tree: <type dir>/<Folder>/<Subfolder>/<asset-name>_<id>/
+            const folderPath = await this.getFolderPath(asset.folder);
+            metadata.folderPath = formatFolderPath(folderPath);
+            metadata.folderHierarchy = folderPath.map(folder => ({
+                id: folder.id,
+                type: folder.folderId ? folder.folderId.type : 'Folder',
+                name: folder.name
+            }));
+            assetDir = path.join(
+                outputDir,
+                assetType.directory,
+                ...folderPath.map(folder => sanitizePathSegment(folder.name, `folder_${folder.id}`)),
+                `${sanitizePathSegment(asset.name, assetType.dirPrefix)}_${asset.id}`
+            );
+        }
+        await fs.mkdir(assetDir, { recursive: true });
+        if (assetType.extraMetadata) {
+            Object.assign(metadata, await assetType.extraMetadata(this, asset, context));
+        }
+
+        // Get and save content. Types may return a string, or { content, metadata }
+        // when the fetch itself produces metadata worth keeping. That object is handed
+        // on to extras as well, so anything else it carries needn't be fetched twice.
+        let contentError = null;
         try {
-            const htmlContent = await this.getTemplateContent(template.id);
-            if (htmlContent) {
+            let content = await assetType.getContent(this, asset);
+            let fetched = null;
+            if (content && typeof content === 'object') {
+                fetched = content;
+                Object.assign(metadata, content.metadata);
+                content = content.content;
+            }
+            if (content) {
                 await fs.writeFile(
-                    path.join(templateDir, `${template.id}.html`),
-                    htmlContent
+                    path.join(assetDir, `${asset.id}.${assetType.extension}`),
+                    content
                 );
             }
+
+            // Additional files and metadata a type derives from the asset
+            if (assetType.extras) {
+                const { files = {}, metadata: extraMetadata } = await assetType.extras(this, asset, content, context, assetDir, fetched);
+                Object.assign(metadata, extraMetadata);
+                for (const [fileName, data] of Object.entries(files)) {
+                    await fs.writeFile(
+                        path.join(assetDir, fileName),
+                        typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data, null, 2)
+                    );
+                }
+            }
+            // Clear the error left behind by an earlier failed attempt
+            await fs.rm(path.join(assetDir, 'error.txt'), { force: true });
         } catch (error) {
+            contentError = error;
             await fs.writeFile(
-                path.join(templateDir, 'error.txt'),
-                `Error retrieving HTML content: ${error.message}`
+                path.join(assetDir, 'error.txt'),
+                `Error retrieving content: ${error.message}`
             );
         }
 
-        return templateDir;
+        // Save metadata
+        await fs.writeFile(
+            path.join(assetDir, 'metadata.json'),
+            JSON.stringify(metadata, null, 2)
+        );
+
+        // Metadata is kept either way, but the asset still counts as failed
+        if (contentError) {
+            throw contentError;
+        }
+
+        return assetDir;
     }
 
-    async exportAllTemplates(outputDir, progressCallback) {
-        const templates = await this.getAllTemplates(progressCallback);
+    async exportTemplate(template, outputDir) {
+        return this.exportAsset('emails', template, outputDir);
+    }
+
+    // Options:
+    //   types       - asset types to export (default ['emails'])
+    //   resume      - skip assets the manifest already marks as done
+    //   incremental - skip assets whose updatedAt matches the last successful export,
+    //                 and mark assets that disappeared from Marketo as removed
+    //   since       - only export assets updated on or after this date
+    //   concurrency - how many assets to fetch and write at once (default 5)
+    //   layout      - 'flat' (default) or 'folders' to mirror the Marketo folder tree on disk
+    //   folders     - write the whole folder tree to folders.json (implied by layout 'folders')
+    //   sections    - write sections.json, modules.json and variables.json for emails (default true)
+    //   text        - write a plain-text <id>.txt for emails (default true)
+    //   velocity    - write Velocity blocks and email script tokens as .vm files (default true)
+    //   assets      - download images, CSS and fonts emails use into assets/ and point the HTML at them
+    //   assetsBaseUrl - base for relative references such as /rs/... (e.g. your landing page domain)
+    //   links       - write links.json for emails and links.csv across the export (default true)
+    //   marketoDomains - branded Marketo domains (landing pages, tracking) to flag links to
+    //   stripMktTok - remove mkt_tok parameters from the exported email HTML and text
+    //   screenshots - render desktop, mobile and thumbnail previews of emails (needs puppeteer)
+    //   clean       - write <id>.clean.html for emails and email templates, without Marketo markup
+    //   inlineCss   - inline <style> rules into the clean copy (implies clean)
+    //   templateFormat - 'handlebars' to also convert email templates into Handlebars with a JSON Schema
+    //   sampleData  - token values for the previews: { lead: {...}, company: {...}, my: {...}, system: {...} }
+    //   myTokens    - record the My Tokens each email inherits and write them per folder to tokens/ (default true)
+    //   metadata    - 'basic' (default) keeps each type's metadataFields in metadata.json, 'full' every field
+    async exportAll(outputDir, options = {}, progressCallback) {
+        const typeNames = options.types || ['emails'];
+        typeNames.forEach(typeName => this.getAssetType(typeName));
+        if (options.metadata && !METADATA_MODES.includes(options.metadata)) {
+            throw new Error(`Unknown metadata mode "${options.metadata}". Expected one of: ${METADATA_MODES.join(', ')}`);
+        }
+
+        const since = options.since ? parseMarketoDate(options.since) : null;
+        if (options.since && !since) {
+            throw new Error(`Invalid date for "since": ${options.since}`);
+        }
+
+        // Anything but a plain full run builds on the previous run's manifest
+        const manifest = (options.resume || options.incremental || since)
+            ? await ExportManifest.load(outputDir)
+            : new ExportManifest(outputDir);
+        const report = new RunReport({ ...options, since, types: typeNames });
+
+        // Resolving folder paths locally beats one lookup per folder during the export
+        let foldersPath = null;
+        if (options.folders || options.layout === 'folders') {
+            foldersPath = await this.exportFolderTree(outputDir);
+        }
+
+        const context = this.createExportContext(options, outputDir);
+        const assetsByType = [];
+        for (const typeName of typeNames) {
+            const listing = await context.getListing(typeName, progressCallback);
+
+            if (options.incremental) {
+                const listedIds = new Set(listing.map(asset => String(asset.id)));
+                for (const item of manifest.itemsOfType(typeName)) {
+                    if (item.state !== 'removed' && !listedIds.has(String(item.id))) {
+                        manifest.markRemoved(typeName, item.id);
+                        report.add('removed', typeName, item, { dir: item.dir });
+                    }
+                }
+            }
+
+            const assets = since
+                ? listing.filter(asset => {
+                    const updatedAt = parseMarketoDate(asset.updatedAt);
+                    return !updatedAt || updatedAt >= since;
+                })
+                : listing;
+            assets.forEach(asset => manifest.addPending(typeName, asset));
+            assetsByType.push([typeName, assets]);
+        }
+        await manifest.save();
+
         const results = {
-            total: templates.length,
+            total: assetsByType.reduce((sum, [, assets]) => sum + assets.length, 0),
             successful: 0,
             failed: 0,
-            errors: []
+            skipped: 0,
+            removed: report.assets.removed.length,
+            errors: [],
+            byType: {},
+            manifestPath: manifest.filePath,
+            foldersPath
         };
 
-        for (const template of templates) {
-            try {
-                await this.exportTemplate(template, outputDir);
-                results.successful++;
-            } catch (error) {
-                results.failed++;
+        const work = [];
+        for (const [typeName, assets] of assetsByType) {
+            results.byType[typeName] = { total: assets.length, successful: 0, failed: 0, skipped: 0 };
+            assets.forEach(asset => work.push({ typeName, asset }));
+        }
+
+        // Counters and the manifest are updated as each asset finishes, so progress stays
+        // accurate; the report and error list are filled afterwards in listing order.
+        const outcomes = await mapWithConcurrency(work, options.concurrency || 5, async ({ typeName, asset }) => {
+            const typeResults = results.byType[typeName];
+            const previous = manifest.get(typeName, asset.id);
+            const exportedBefore = previous.state === 'done' || Boolean(previous.completedAt);
+            const unchanged = previous.state === 'done' && previous.updatedAt === asset.updatedAt;
+            let outcome;
+
+            if (options.incremental && unchanged) {
+                outcome = { category: 'unchanged' };
+                results.skipped++;
+                typeResults.skipped++;
+            } else if (options.resume && previous.state === 'done') {
+                outcome = { category: 'skipped' };
+                results.skipped++;
+                typeResults.skipped++;
+            } else {
+                try {
+                    const assetDir = await this.exportAsset(typeName, asset, outputDir, context);
+                    manifest.markDone(typeName, asset, {
+                        dir: path.relative(outputDir, assetDir),
+                        updatedAt: asset.updatedAt
+                    });
+                    outcome = { category: exportedBefore ? 'changed' : 'new' };
+                    results.successful++;
+                    typeResults.successful++;
+                } catch (error) {
+                    manifest.markFailed(typeName, asset, error);
+                    outcome = { category: 'failed', error };
+                    results.failed++;
+                    typeResults.failed++;
+                }
+                await manifest.save();
+            }
+            if (progressCallback) {
+                progressCallback(results);
+            }
+            return outcome;
+        });
+
+        if (context.screenshots) {
+            await context.screenshots.close();
+        }
+
+        outcomes.forEach(({ category, error }, index) => {
+            const { typeName, asset } = work[index];
+            if (error) {
+                report.add(category, typeName, asset, { error: error.message });
                 results.errors.push({
-                    templateId: template.id,
+                    type: typeName,
+                    assetId: asset.id,
                     error: error.message
                 });
+            } else {
+                report.add(category, typeName, asset);
             }
-            if (progressCallback) {
-                progressCallback(results);
+        });
+
+        if (context.assets) {
+            results.assetsManifestPath = await context.assets.save();
+        }
+
+        if (context.tokenFolders.size > 0) {
+            results.folderTokensDir = await writeFolderTokens(outputDir, context.tokenFolders);
+        }
+
+        if (typeNames.includes('emails')) {
+            results.tokenReportPath = await buildTokenReport(outputDir, manifest);
+            if (context.links) {
+                results.linkReportPath = await buildLinkReport(outputDir, manifest);
             }
         }
 
+        results.metadataSchemaPath = await writeMetadataSchema(outputDir);
+        results.reportPath = await report.save(outputDir);
         return results;
     }
 
+    async exportAllTemplates(outputDir, progressCallback, options = {}) {
+        return this.exportAll(outputDir, { ...options, types: ['emails'] }, progressCallback);
+    }
+
+    async exportAllEmailTemplates(outputDir, progressCallback, options = {}) {
+        return this.exportAll(outputDir, { ...options, types: ['emailTemplates'] }, progressCallback);
+    }
+
     async createArchive(sourceDir, outputPath) {
         return new Promise((resolve, reject) => {
             const output = fs.createWriteStream(outputPath);
@@ -182,4 +720,4 @@ class MarketoClient {
     }
 }
 
-module.exports = MarketoClient; 
\ No newline at end of file
+module.exports = MarketoClient;
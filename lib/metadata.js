@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const METADATA_MODES = ['basic', 'full'];
+const SCHEMA_FILE = 'metadata.schema.json';
+const SCHEMA_SOURCE = path.join(__dirname, '..', 'schema', SCHEMA_FILE);
+
+// Email fields like subject come back as { type: 'Text', value: 'Hello' }
+function isWrapped(field) {
+    return Boolean(field) && typeof field === 'object' && 'type' in field && 'value' in field;
+}
+
+function fieldValue(field) {
+    return isWrapped(field) ? field.value : field;
+}
+
+// The asset fields that go into metadata.json: the type's metadataFields in 'basic' mode,
+// everything the API returned in 'full' mode. Wrapped fields are unwrapped to their value;
+// types other than Text (e.g. DynamicContent, whose value is a segmentation id) are kept
+// in fieldTypes so the value can still be told apart.
+function buildAssetMetadata(assetType, asset, mode = 'basic') {
+    const fields = mode === 'full' ? Object.keys(asset) : assetType.metadataFields;
+    const wrappedFields = assetType.wrappedFields || [];
+    const metadata = {};
+    const fieldTypes = {};
+
+    for (const field of fields) {
+        if (wrappedFields.includes(field) && isWrapped(asset[field])) {
+            metadata[field] = asset[field].value;
+            if (asset[field].type !== 'Text') {
+                fieldTypes[field] = asset[field].type;
+            }
+        } else {
+            metadata[field] = asset[field];
+        }
+    }
+
+    if (Object.keys(fieldTypes).length > 0) {
+        metadata.fieldTypes = fieldTypes;
+    }
+    return metadata;
+}
+
+// Copy the JSON Schema for metadata.json into the export root
+async function writeMetadataSchema(outputDir) {
+    const schemaPath = path.join(outputDir, SCHEMA_FILE);
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.copyFile(SCHEMA_SOURCE, schemaPath);
+    return schemaPath;
+}
+
+module.exports = {
+    METADATA_MODES,
+    SCHEMA_FILE,
+    SCHEMA_SOURCE,
+    buildAssetMetadata,
+    fieldValue,
+    writeMetadataSchema
+};
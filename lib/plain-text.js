@@ -0,0 +1,24 @@
+const { convert } = require('html-to-text');
+
+// Plain-text rendering of an email for when Marketo has no stored text version.
+// Links keep their URL, headings and lists keep their shape, and style, script and
+// images are dropped. Layout tables are flattened to one block per cell.
+const CONVERT_OPTIONS = {
+    wordwrap: 78,
+    selectors: [
+        { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+        { selector: 'img', format: 'skip' },
+        { selector: 'style', format: 'skip' },
+        { selector: 'script', format: 'skip' },
+        { selector: 'table', format: 'block' },
+        { selector: 'tr', format: 'block' },
+        { selector: 'td', format: 'block' },
+        { selector: 'th', format: 'block' }
+    ]
+};
+
+function htmlToPlainText(html) {
+    return convert(html || '', CONVERT_OPTIONS).trim() + '\n';
+}
+
+module.exports = { htmlToPlainText };
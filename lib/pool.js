@@ -0,0 +1,20 @@
+// Run `worker` over `items` with at most `concurrency` calls in flight.
+// Resolves with the worker results in the same order as `items`, regardless of
+// which call finishes first. Workers are expected to handle their own errors.
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
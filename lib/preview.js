@@ -0,0 +1,108 @@
+const fs = require('fs').promises;
+const { TOKEN_NAMESPACES, createTokenPattern, parseTokenBody } = require('./tokens');
+
+// What a token shows when neither the sample data nor the token itself has a value.
+// These are the placeholders enhancedMarketoEmailHtml used in the original implementation.
+const PLACEHOLDERS = {
+    lead: field => `[Lead: ${field}]`,
+    my: token => `[Token: ${token}]`,
+    company: field => `[Company: ${field}]`,
+    system: field => ({ viewAsWebpageLink: '#viewAsWebpage', unsubscribeLink: '#unsubscribe' }[field] || `[System: ${field}]`),
+    member: field => `[Member: ${field}]`,
+    program: field => `[Program: ${field}]`,
+    campaign: field => `[Campaign: ${field}]`,
+    trigger: field => `[Trigger: ${field}]`
+};
+
+// Sample data looks like { lead: { FirstName: 'Alex' }, company: { ... }, my: { ... }, system: { ... } }
+async function loadSampleData(filePath) {
+    const sampleData = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    for (const [namespace, values] of Object.entries(sampleData)) {
+        if (!TOKEN_NAMESPACES.includes(namespace)) {
+            throw new Error(`Unknown token namespace "${namespace}" in ${filePath}. Expected one of: ${TOKEN_NAMESPACES.join(', ')}`);
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new Error(`"${namespace}" in ${filePath} must be an object of field names and values`);
+        }
+    }
+    return sampleData;
+}
+
+// Marketo field and token names aren't case-sensitive, so neither is the lookup
+function lookupSampleValue(values, field) {
+    if (!values) {
+        return undefined;
+    }
+    if (values[field] !== undefined) {
+        return values[field];
+    }
+    const key = Object.keys(values).find(candidate => candidate.toLowerCase() === field.toLowerCase());
+    return key === undefined ? undefined : values[key];
+}
+
+// Fills tokens with, in order: the sample value, the token's own :default=, or a placeholder.
+// An empty sample value falls through to the default, the way Marketo treats empty fields.
+function createPreviewRenderer(sampleData = {}) {
+    function renderTokens(text) {
+        return (text || '')
+            .replace(createTokenPattern(), (raw, namespace, body) => {
+                const { name, defaultValue } = parseTokenBody(body);
+                const value = lookupSampleValue(sampleData[namespace], name);
+                if (value !== undefined && value !== null && value !== '') {
+                    return String(value);
+                }
+                if (defaultValue !== null) {
+                    return defaultValue;
+                }
+                return PLACEHOLDERS[namespace](name);
+            })
+            .replace(/\{\{#each ([^}]+)\}\}(.*?)\{\{\/each\}\}/gs, '[Each Loop Content]');
+    }
+
+    // HTML ready to render in a browser: tokens filled in, and fragments get a document
+    // around them while full documents just need a viewport
+    function render(html) {
+        let processedContent = renderTokens(html);
+
+        if (!/<!doctype/i.test(processedContent)) {
+            processedContent = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<meta name="viewport" content="width=device-width, initial-scale=1.0">\n<title>Email Preview</title>\n</head>\n<body>\n${processedContent}\n</body>\n</html>`;
+        } else if (!processedContent.includes('viewport')) {
+            processedContent = processedContent.replace(/<head\b[^>]*>/i, head => `${head}\n<meta name="viewport" content="width=device-width, initial-scale=1.0">`);
+        }
+
+        return processedContent;
+    }
+
+    return { render, renderTokens };
+}
+
+// The My Tokens an email inherits, as sample values for `my`. Script tokens hold Velocity,
+// which can't be evaluated here, so they keep their placeholder.
+function myTokenValues(myTokens = []) {
+    return myTokens
+        .filter(token => token.type !== 'script block')
+        .reduce((values, token) => {
+            values[token.name] = token.value;
+            return values;
+        }, {});
+}
+
+// Sample data for one email: its inherited My Tokens, with the sample file's `my` on top
+function sampleDataForEmail(sampleData = {}, myTokens) {
+    return {
+        ...sampleData,
+        my: { ...myTokenValues(myTokens), ...sampleData.my }
+    };
+}
+
+function preparePreviewHtml(html, sampleData) {
+    return createPreviewRenderer(sampleData).render(html);
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    loadSampleData,
+    createPreviewRenderer,
+    sampleDataForEmail,
+    preparePreviewHtml
+};
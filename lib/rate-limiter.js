@@ -0,0 +1,74 @@
+// Marketo allows 100 REST calls per 20 seconds and 10 concurrent calls per instance.
+const DEFAULT_LIMITS = {
+    maxCalls: 100,
+    interval: 20000,
+    burst: 10,
+    maxConcurrent: 10
+};
+
+// Token bucket plus concurrency cap shared by every request a client makes.
+//
+// The bucket holds `burst` tokens and refills at (maxCalls - burst) per interval,
+// so even a full bucket followed by a full interval of refills stays within
+// maxCalls for any window of `interval` milliseconds.
+class RateLimiter {
+    constructor(options = {}) {
+        const limits = { ...DEFAULT_LIMITS, ...options };
+        if (limits.burst >= limits.maxCalls) {
+            throw new Error('Rate limiter burst must be smaller than maxCalls');
+        }
+
+        this.capacity = limits.burst;
+        this.tokens = limits.burst;
+        this.refillPerMs = (limits.maxCalls - limits.burst) / limits.interval;
+        this.maxConcurrent = limits.maxConcurrent;
+        this.active = 0;
+        this.queue = [];
+        this.lastRefill = Date.now();
+        this.timer = null;
+    }
+
+    async schedule(task) {
+        await new Promise(resolve => {
+            this.queue.push(resolve);
+            this.drain();
+        });
+
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            this.drain();
+        }
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    drain() {
+        this.refill();
+
+        while (this.queue.length > 0 && this.active < this.maxConcurrent && this.tokens >= 1) {
+            this.tokens--;
+            this.active++;
+            this.queue.shift()();
+        }
+
+        // Out of tokens with callers waiting: wake up when the next one is due.
+        // A free concurrency slot always triggers drain() from schedule() instead.
+        if (this.queue.length > 0 && this.tokens < 1 && !this.timer) {
+            const wait = Math.ceil((1 - this.tokens) / this.refillPerMs);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, wait);
+        }
+    }
+}
+
+RateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = RateLimiter;
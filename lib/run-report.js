@@ -0,0 +1,53 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const RUN_REPORT_FILE = 'run-report.json';
+const CATEGORIES = ['new', 'changed', 'unchanged', 'skipped', 'removed', 'failed'];
+
+// Summary of what a single export run did to each asset, written next to the manifest
+class RunReport {
+    // options.since, when given, is a Date
+    constructor(options = {}) {
+        this.startedAt = new Date().toISOString();
+        this.mode = options.incremental ? 'incremental' : (options.resume ? 'resume' : 'full');
+        this.since = options.since ? options.since.toISOString() : null;
+        this.types = options.types || [];
+        this.assets = {};
+        CATEGORIES.forEach(category => {
+            this.assets[category] = [];
+        });
+    }
+
+    add(category, typeName, asset, details = {}) {
+        this.assets[category].push({ type: typeName, id: asset.id, name: asset.name, ...details });
+    }
+
+    async save(outputDir) {
+        const counts = {};
+        CATEGORIES.forEach(category => {
+            counts[category] = this.assets[category].length;
+        });
+
+        const report = {
+            startedAt: this.startedAt,
+            finishedAt: new Date().toISOString(),
+            mode: this.mode,
+            since: this.since,
+            types: this.types,
+            counts,
+            // Unchanged and skipped assets are only counted; listing thousands of them adds nothing
+            new: this.assets.new,
+            changed: this.assets.changed,
+            removed: this.assets.removed,
+            failed: this.assets.failed
+        };
+
+        const reportPath = path.join(outputDir, RUN_REPORT_FILE);
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+        return reportPath;
+    }
+}
+
+RunReport.RUN_REPORT_FILE = RUN_REPORT_FILE;
+
+module.exports = RunReport;
@@ -0,0 +1,83 @@
+// Viewports for the preview images. Desktop matches the 650px the original
+// /email/:id/screenshot route rendered at.
+const VIEWPORTS = {
+    desktop: { width: 650, height: 800, deviceScaleFactor: 1 },
+    mobile: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+};
+const THUMBNAIL = { width: 650, height: 800, scale: 0.4 };
+
+// Puppeteer is an optional dependency: it downloads a browser, which most exports don't need
+function loadPuppeteer() {
+    try {
+        return require('puppeteer');
+    } catch (error) {
+        throw new Error('Screenshots need Puppeteer, which is not installed. Run `npm install puppeteer` and try again.');
+    }
+}
+
+// Renders email HTML headlessly into preview-desktop.png, preview-mobile.png and
+// preview-thumbnail.png. One browser is shared by the whole run and started on first use.
+class ScreenshotRenderer {
+    constructor(options = {}) {
+        this.puppeteer = loadPuppeteer();
+        this.timeout = options.timeout || 30000;
+        this.browser = null;
+    }
+
+    launch() {
+        if (!this.browser) {
+            this.browser = this.puppeteer.launch({
+                args: ['--no-sandbox', '--disable-setuid-sandbox'],
+                headless: true
+            }).catch(error => {
+                this.browser = null;
+                throw error;
+            });
+        }
+        return this.browser;
+    }
+
+    // { fileName: Buffer } for each preview image
+    async capture(html) {
+        const browser = await this.launch();
+        const page = await browser.newPage();
+
+        try {
+            await page.setViewport(VIEWPORTS.desktop);
+            await page.setContent(html, { waitUntil: 'networkidle0', timeout: this.timeout });
+            const desktop = await page.screenshot({ fullPage: true, type: 'png' });
+
+            // The top of the desktop render, scaled down
+            const { height } = await page.evaluate(() => ({ height: document.documentElement.scrollHeight }));
+            const thumbnail = await page.screenshot({
+                type: 'png',
+                clip: { x: 0, y: 0, width: THUMBNAIL.width, height: Math.min(THUMBNAIL.height, height || THUMBNAIL.height), scale: THUMBNAIL.scale }
+            });
+
+            // Changing isMobile reloads the page, so set the content again
+            await page.setViewport(VIEWPORTS.mobile);
+            await page.setContent(html, { waitUntil: 'networkidle0', timeout: this.timeout });
+            const mobile = await page.screenshot({ fullPage: true, type: 'png' });
+
+            return {
+                'preview-desktop.png': Buffer.from(desktop),
+                'preview-mobile.png': Buffer.from(mobile),
+                'preview-thumbnail.png': Buffer.from(thumbnail)
+            };
+        } finally {
+            await page.close();
+        }
+    }
+
+    async close() {
+        if (this.browser) {
+            const browser = await this.browser;
+            this.browser = null;
+            await browser.close();
+        }
+    }
+}
+
+ScreenshotRenderer.VIEWPORTS = VIEWPORTS;
+
+module.exports = ScreenshotRenderer;
@@ -0,0 +1,354 @@
+const cheerio = require('cheerio');
+const { VARIABLE_CLASSES, stripMarketoMarkup } = require('./clean');
+const { findTokens } = require('./tokens');
+
+const JSON_SCHEMA = 'https://json-schema.org/draft/2020-12/schema';
+const VARIABLE_REFERENCE = /\$\{([\w-]+)\}/g;
+const REGION_SELECTOR = '.mktoText, .mktEditable, .mktoImg, .mktoSnippet, .mktoVideo';
+
+// Handlebars needs segment-literal notation for IDs like "hero-text"
+function hbsPath(id) {
+    return /^[A-Za-z_$][\w$]*$/.test(id) ? id : `[${id}]`;
+}
+
+// File name for a module's partial. IDs that are safe in a file name are kept as they are,
+// anything else is percent-encoded, so the ID can always be read back from the name.
+function partialFileName(moduleId) {
+    const name = /^[\w.-]+$/.test(moduleId)
+        ? moduleId
+        : encodeURIComponent(moduleId).replace(/[!'()*~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `module.${name}.hbs`;
+}
+
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function numberAttr(element, name) {
+    const value = element.attr(name);
+    return value === undefined || value === '' || Number.isNaN(Number(value)) ? undefined : Number(value);
+}
+
+// JSON Schema for a variable declaration (<meta class="mktoString" ...>) and how a
+// ${reference} to it renders, given the Handlebars path to its value
+function describeVariable(meta) {
+    const kind = VARIABLE_CLASSES.find(className => meta.hasClass(className));
+    const title = meta.attr('mktoname') || meta.attr('id');
+    const defaultValue = meta.attr('default');
+    const plain = name => `{{${name}}}`;
+
+    switch (kind) {
+        case 'mktoBoolean': {
+            const trueValue = meta.attr('true_value');
+            const falseValue = meta.attr('false_value');
+            return {
+                kind,
+                schema: withoutUndefined({
+                    type: 'boolean',
+                    title,
+                    default: defaultValue === undefined ? undefined : String(defaultValue).toLowerCase() === 'true'
+                }),
+                render: name => (trueValue === undefined && falseValue === undefined
+                    ? plain(name)
+                    : `{{#if ${name}}}${trueValue || ''}{{else}}${falseValue || ''}{{/if}}`)
+            };
+        }
+        case 'mktoNumber': {
+            const units = meta.attr('units') || '';
+            return {
+                kind,
+                schema: withoutUndefined({
+                    type: 'number',
+                    title,
+                    default: numberAttr(meta, 'default'),
+                    minimum: numberAttr(meta, 'min'),
+                    maximum: numberAttr(meta, 'max'),
+                    multipleOf: numberAttr(meta, 'step')
+                }),
+                render: name => `${plain(name)}${units}`
+            };
+        }
+        case 'mktoColor':
+            return {
+                kind,
+                schema: withoutUndefined({ type: 'string', title, default: defaultValue, pattern: '^#([0-9a-fA-F]{3}){1,2}$' }),
+                render: plain
+            };
+        case 'mktoList':
+            return {
+                kind,
+                schema: withoutUndefined({
+                    type: 'string',
+                    title,
+                    default: defaultValue,
+                    enum: meta.attr('values') ? meta.attr('values').split(',').map(value => value.trim()) : undefined
+                }),
+                render: plain
+            };
+        case 'mktoHTML':
+            return {
+                kind,
+                schema: withoutUndefined({ type: 'string', title, default: defaultValue, contentMediaType: 'text/html' }),
+                render: name => `{{{${name}}}}`
+            };
+        case 'mktoImg':
+            return {
+                kind,
+                schema: withoutUndefined({ type: 'string', title, default: defaultValue, format: 'uri-reference' }),
+                render: plain
+            };
+        default:
+            return {
+                kind: 'mktoString',
+                schema: withoutUndefined({ type: 'string', title, default: defaultValue }),
+                render: plain
+            };
+    }
+}
+
+// ${references} in a region's default content stay literal: the default is data, and
+// Handlebars doesn't evaluate data. Each one is reported.
+function reportRegionReferences(value, regionId, result, scope) {
+    const references = new Set([...String(value || '').matchAll(VARIABLE_REFERENCE)].map(match => match[1]));
+    references.forEach(id => {
+        result.unconverted.push({
+            kind: 'reference',
+            id,
+            region: regionId,
+            scope,
+            reason: `\${${id}} in the default content of region "${regionId}" is left as literal text`
+        });
+    });
+}
+
+// Turn the editable regions under `root` into Handlebars placeholders, adding a schema
+// property for each to `properties`. Regions inside one already converted stay part of
+// its default content.
+function convertRegions($, root, properties, result, scope) {
+    const converted = new Set();
+
+    root.find(REGION_SELECTOR).each((index, element) => {
+        if ($(element).parents().toArray().some(parent => converted.has(parent))) {
+            return;
+        }
+
+        const region = $(element);
+        const id = region.attr('id');
+        const title = region.attr('mktoname') || id;
+        if (!id) {
+            result.unconverted.push({ kind: 'region', id: null, scope, reason: `Editable <${element.tagName}> without an id` });
+            return;
+        }
+
+        if (region.hasClass('mktoVideo')) {
+            result.unconverted.push({ kind: 'region', id, scope, reason: 'Video regions (mktoVideo) are not converted' });
+            return;
+        }
+
+        if (region.hasClass('mktoImg')) {
+            const image = element.tagName === 'img' ? region : region.find('img').first();
+            if (image.length === 0) {
+                result.unconverted.push({ kind: 'region', id, scope, reason: 'Image region (mktoImg) without an <img>' });
+                return;
+            }
+            properties[id] = withoutUndefined({ type: 'string', title, format: 'uri-reference', default: image.attr('src') });
+            reportRegionReferences(image.attr('src'), id, result, scope);
+            image.attr('src', `{{${hbsPath(id)}}}`);
+        } else if (region.hasClass('mktoSnippet')) {
+            // Snippets live outside the template; their content has to be supplied
+            properties[id] = { type: 'string', title, contentMediaType: 'text/html', default: '' };
+            region.html(`{{{${hbsPath(id)}}}}`);
+            result.notes.push(`Snippet region "${id}" became an empty HTML region; copy the snippet's content into it`);
+        } else {
+            properties[id] = { type: 'string', title, contentMediaType: 'text/html', default: region.html().trim() };
+            reportRegionReferences(properties[id].default, id, result, scope);
+            region.html(`{{{${hbsPath(id)}}}}`);
+        }
+
+        converted.add(element);
+        result.regions++;
+    });
+}
+
+// Convert an email 2.0 template into Handlebars:
+//   - each mktoModule becomes a partial, and each mktoContainer an {{#each}} over a list of
+//     module instances, each naming its partial in `module`
+//   - editable regions become {{{id}}} placeholders (image regions set the src)
+//   - ${variable} references become {{variable}}, or {{#if}} for booleans
+// Returns the template, the partials by module id, a JSON Schema of the data it expects,
+// and a report of what was converted and what wasn't.
+function convertEmailTemplate(html, options = {}) {
+    const $ = cheerio.load(html || '');
+    const result = { regions: 0, unconverted: [], notes: [] };
+    const properties = {};
+    const variables = {};
+
+    // Variable declarations
+    $('meta[class*="mkto"]').each((index, element) => {
+        const meta = $(element);
+        const id = meta.attr('id');
+        const known = VARIABLE_CLASSES.some(className => meta.hasClass(className));
+        if (!known || !id) {
+            result.unconverted.push({
+                kind: 'variable',
+                id: id || null,
+                reason: known ? 'Variable declaration without an id' : `Unknown variable type "${meta.attr('class')}"`
+            });
+        } else {
+            variables[id] = { ...describeVariable(meta), moduleScope: meta.attr('mktomodulescope') === 'true' };
+            if (!variables[id].moduleScope) {
+                properties[id] = variables[id].schema;
+            }
+        }
+        meta.remove();
+    });
+
+    // Renders ${references}; inside a module, globals are reached through @root
+    function renderReference(reference, id, moduleProperties) {
+        const variable = variables[id];
+        if (!variable) {
+            if (!result.unconverted.some(entry => entry.kind === 'reference' && entry.id === id && !entry.region)) {
+                result.unconverted.push({ kind: 'reference', id, reason: `\${${id}} has no variable declaration` });
+            }
+            return reference;
+        }
+        if (variable.moduleScope) {
+            if (!moduleProperties) {
+                result.notes.push(`Module-scoped variable "${id}" is used outside a module`);
+                return variable.render(`@root.${hbsPath(id)}`);
+            }
+            moduleProperties[id] = variable.schema;
+            return variable.render(hbsPath(id));
+        }
+        return variable.render(moduleProperties ? `@root.${hbsPath(id)}` : hbsPath(id));
+    }
+
+    // A brace right next to a mustache, as in CSS (`a{color:${c}}`), would read as {{{ or }}}
+    function renderVariables(text, moduleProperties) {
+        return text.replace(VARIABLE_REFERENCE, (reference, id, offset) => {
+            const rendered = renderReference(reference, id, moduleProperties);
+            if (rendered === reference) {
+                return reference;
+            }
+            const before = text[offset - 1] === '{' ? ' ' : '';
+            const after = text[offset + reference.length] === '}' ? ' ' : '';
+            return `${before}${rendered}${after}`;
+        });
+    }
+
+    // Containers and their modules. The loops go in as placeholders, since the serializer
+    // would escape the ">" of a partial call in a text node.
+    const partials = {};
+    const loops = [];
+    let containerCount = 0;
+    $('.mktoContainer').each((index, element) => {
+        const container = $(element);
+        const containerId = container.attr('id');
+        const modules = container.find('.mktoModule')
+            .filter((moduleIndex, moduleElement) => $(moduleElement).parents('.mktoContainer').first().is(element));
+        if (!containerId) {
+            result.unconverted.push({ kind: 'container', id: null, reason: 'Container without an id; its modules are left inline' });
+            return;
+        }
+
+        const moduleSchemas = [];
+        const defaults = [];
+        modules.each((moduleIndex, moduleElement) => {
+            const module = $(moduleElement);
+            const moduleId = module.attr('id');
+            if (!moduleId) {
+                result.unconverted.push({ kind: 'module', id: null, scope: containerId, reason: 'Module without an id; dropped from the container' });
+                return;
+            }
+
+            const moduleProperties = { module: { const: moduleId } };
+            convertRegions($, module, moduleProperties, result, moduleId);
+
+            const fragment = cheerio.load($.html(module), null, false);
+            stripMarketoMarkup(fragment);
+            partials[moduleId] = renderVariables(fragment.html(), moduleProperties);
+
+            moduleSchemas.push({
+                title: module.attr('mktoname') || moduleId,
+                type: 'object',
+                properties: moduleProperties,
+                required: ['module']
+            });
+            if (module.attr('mktoaddbydefault') !== 'false') {
+                const instance = { module: moduleId };
+                Object.entries(moduleProperties).forEach(([name, schema]) => {
+                    if (name !== 'module' && schema.default !== undefined) {
+                        instance[name] = schema.default;
+                    }
+                });
+                defaults.push(instance);
+            }
+        });
+
+        // The modules make way for a loop over the instances, where the first one was
+        const loop = `__MKTO_CONTAINER_${loops.length}__`;
+        loops.push(`{{#each ${hbsPath(containerId)}}}{{> (lookup . "module")}}{{/each}}`);
+        if (modules.length > 0) {
+            modules.first().before(loop);
+            modules.remove();
+        } else {
+            container.append(loop);
+        }
+
+        properties[containerId] = {
+            type: 'array',
+            title: container.attr('mktoname') || containerId,
+            items: { oneOf: moduleSchemas },
+            default: defaults
+        };
+        containerCount++;
+    });
+
+    $('.mktoModule').each((index, element) => {
+        result.unconverted.push({
+            kind: 'module',
+            id: $(element).attr('id') || null,
+            reason: 'Module outside a container; left inline and its regions converted as template regions'
+        });
+    });
+
+    convertRegions($, $.root(), properties, result, null);
+    stripMarketoMarkup($);
+    const template = renderVariables($.html(), null)
+        .replace(/__MKTO_CONTAINER_(\d+)__/g, (placeholder, index) => loops[Number(index)]);
+
+    const tokens = [...new Set(findTokens([template, ...Object.values(partials), JSON.stringify(properties)].join('\n'))
+        .map(token => token.raw))];
+    if (tokens.length > 0) {
+        result.notes.push(`${tokens.length} Marketo tokens left as is (e.g. ${tokens[0]}); run \`marketo-export transform\` to map them`);
+    }
+
+    const schema = {
+        $schema: JSON_SCHEMA,
+        title: options.name || 'Email template',
+        type: 'object',
+        properties
+    };
+
+    return {
+        template,
+        partials,
+        schema,
+        report: {
+            format: 'handlebars',
+            variables: Object.keys(variables).length,
+            regions: result.regions,
+            containers: containerCount,
+            modules: Object.keys(partials).length,
+            // Which file holds each partial; register them under the module ID
+            partials: Object.fromEntries(Object.keys(partials).map(moduleId => [moduleId, partialFileName(moduleId)])),
+            unconverted: result.unconverted,
+            notes: result.notes
+        }
+    };
+}
+
+module.exports = {
+    convertEmailTemplate,
+    partialFileName
+};
@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatFolderPath, sanitizePathSegment } = require('./folders');
+
+// Token namespaces enhancedMarketoEmailHtml recognised, plus the other standard ones
+// that show up in emails sent from programs and triggers
+const TOKEN_NAMESPACES = ['lead', 'my', 'company', 'system', 'member', 'program', 'campaign', 'trigger'];
+
+function createTokenPattern() {
+    return new RegExp(`\\{\\{(${TOKEN_NAMESPACES.join('|')})\\.([^}]+)\\}\\}`, 'g');
+}
+
+// "FirstName:default=there" -> { name: 'FirstName', defaultValue: 'there' }
+function parseTokenBody(body) {
+    const match = body.match(/^(.*?):default=(.*)$/s);
+    if (match) {
+        return { name: match[1].trim(), defaultValue: match[2] };
+    }
+    return { name: body.trim(), defaultValue: null };
+}
+
+// Every token occurrence in `text`, in order
+function findTokens(text) {
+    const occurrences = [];
+    const pattern = createTokenPattern();
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        const [raw, namespace, body] = match;
+        const { name, defaultValue } = parseTokenBody(body);
+        occurrences.push({
+            raw,
+            token: `${namespace}.${name}`,
+            namespace,
+            name,
+            defaultValue,
+            index: match.index
+        });
+    }
+    return occurrences;
+}
+
+// Count tokens across named sources, e.g. { html, text, subject }
+function analyzeTokens(sources) {
+    const tokens = new Map();
+    for (const [location, text] of Object.entries(sources)) {
+        for (const occurrence of findTokens(text)) {
+            if (!tokens.has(occurrence.token)) {
+                tokens.set(occurrence.token, {
+                    token: occurrence.token,
+                    namespace: occurrence.namespace,
+                    name: occurrence.name,
+                    count: 0,
+                    defaults: [],
+                    locations: []
+                });
+            }
+            const entry = tokens.get(occurrence.token);
+            entry.count++;
+            if (occurrence.defaultValue !== null && !entry.defaults.includes(occurrence.defaultValue)) {
+                entry.defaults.push(occurrence.defaultValue);
+            }
+            if (!entry.locations.includes(location)) {
+                entry.locations.push(location);
+            }
+        }
+    }
+
+    const list = [...tokens.values()].sort((a, b) => a.token.localeCompare(b.token));
+    return {
+        total: list.reduce((sum, entry) => sum + entry.count, 0),
+        tokens: list
+    };
+}
+
+// Export-wide inventory from the tokens.json of every exported email in the manifest
+async function buildTokenReport(outputDir, manifest) {
+    const tokens = new Map();
+    let emailCount = 0;
+
+    for (const item of manifest.doneItems('emails')) {
+        let analysis;
+        try {
+            analysis = JSON.parse(await fs.readFile(path.join(outputDir, item.dir, 'tokens.json'), 'utf8'));
+        } catch (error) {
+            continue;
+        }
+        emailCount++;
+
+        for (const entry of analysis.tokens) {
+            if (!tokens.has(entry.token)) {
+                tokens.set(entry.token, {
+                    token: entry.token,
+                    namespace: entry.namespace,
+                    name: entry.name,
+                    count: 0,
+                    defaults: [],
+                    emails: []
+                });
+            }
+            const reportEntry = tokens.get(entry.token);
+            reportEntry.count += entry.count;
+            entry.defaults.forEach(defaultValue => {
+                if (!reportEntry.defaults.includes(defaultValue)) {
+                    reportEntry.defaults.push(defaultValue);
+                }
+            });
+            reportEntry.emails.push({ id: item.id, name: item.name, count: entry.count });
+        }
+    }
+
+    const list = [...tokens.values()].sort((a, b) => a.token.localeCompare(b.token));
+    const report = {
+        generatedAt: new Date().toISOString(),
+        emailCount,
+        namespaces: TOKEN_NAMESPACES.reduce((counts, namespace) => {
+            counts[namespace] = list.filter(entry => entry.namespace === namespace).length;
+            return counts;
+        }, {}),
+        tokens: list
+    };
+
+    const reportPath = path.join(outputDir, 'token-report.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+}
+
+// My Tokens definitions per folder or program, as tokens/<Folder>_<id>/<Subfolder>_<id>.json.
+// The IDs keep folders whose names sanitize to the same thing, e.g. "Webinar (2024)" and
+// "Webinar 2024", from overwriting each other.
+// `tokenFolders` maps folder keys to { folder, path, tokens } as getInheritedTokens returns them.
+async function writeFolderTokens(outputDir, tokenFolders) {
+    const tokensDir = path.join(outputDir, 'tokens');
+
+    for (const { folder, path: folderPath, tokens } of tokenFolders.values()) {
+        const segments = folderPath.map(ancestor => `${sanitizePathSegment(ancestor.name, 'folder')}_${ancestor.id}`);
+        const filePath = path.join(tokensDir, ...segments) + '.json';
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify({
+            folder: {
+                id: folder.id,
+                type: folder.folderId ? folder.folderId.type : 'Folder',
+                name: folder.name,
+                path: formatFolderPath(folderPath)
+            },
+            tokens: tokens.map(({ name, type, value }) => ({ name, type, value }))
+        }, null, 2));
+    }
+
+    return tokensDir;
+}
+
+module.exports = {
+    TOKEN_NAMESPACES,
+    createTokenPattern,
+    parseTokenBody,
+    findTokens,
+    analyzeTokens,
+    buildTokenReport,
+    writeFolderTokens
+};
@@ -0,0 +1,229 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ExportManifest = require('./export-manifest');
+const { createTokenPattern, parseTokenBody } = require('./tokens');
+
+// Merge syntax of the target platforms. `namespaces` maps Marketo token namespaces
+// onto the platform's objects; `system` covers the system tokens that have an
+// equivalent. {{my.*}} program tokens never map automatically.
+const PRESETS = {
+    handlebars: {
+        namespaces: { lead: 'lead', company: 'company' },
+        // Display names like "First Name" need segment-literal notation
+        fieldPath: (object, field) => {
+            if (/^[\w$]+$/.test(field)) {
+                return `${object}.${field}`;
+            }
+            return field.includes(']') ? null : `${object}.[${field}]`;
+        },
+        system: {
+            unsubscribeLink: 'unsubscribe_url',
+            viewAsWebpageLink: 'view_in_browser_url'
+        },
+        render: (variable, defaultValue) => (defaultValue === null
+            ? `{{${variable}}}`
+            : `{{#if ${variable}}}{{${variable}}}{{else}}${defaultValue}{{/if}}`)
+    },
+    liquid: {
+        namespaces: { lead: 'lead', company: 'company' },
+        fieldPath: (object, field) => {
+            if (/^\w+$/.test(field)) {
+                return `${object}.${field}`;
+            }
+            return field.includes('"') ? null : `${object}["${field}"]`;
+        },
+        system: {
+            unsubscribeLink: 'unsubscribe_url',
+            viewAsWebpageLink: 'view_in_browser_url'
+        },
+        render: (variable, defaultValue) => (defaultValue === null
+            ? `{{ ${variable} }}`
+            : `{{ ${variable} | default: ${JSON.stringify(defaultValue)} }}`)
+    },
+    hubl: {
+        // HubSpot contact and company properties use lowercase internal names without
+        // spaces, so "First Name" becomes contact.firstname
+        namespaces: { lead: 'contact', company: 'company' },
+        fieldPath: (object, field) => {
+            const name = field.toLowerCase().replace(/[^a-z0-9_]/g, '');
+            return name ? `${object}.${name}` : null;
+        },
+        system: {
+            unsubscribeLink: 'unsubscribe_link',
+            viewAsWebpageLink: 'view_as_page_url'
+        },
+        render: (variable, defaultValue) => (defaultValue === null
+            ? `{{ ${variable} }}`
+            : `{{ ${variable}|default(${JSON.stringify(defaultValue)}) }}`)
+    }
+};
+
+// A bare variable path like "contact.first_name" is rendered with the preset's syntax;
+// anything else (e.g. "{{ event.date | date: '%b %d' }}") is used verbatim
+const VARIABLE_PATH = /^[\w$]+(\.[\w$]+|\[[^\]]+\])*$/;
+
+function loadPreset(name) {
+    const preset = PRESETS[name];
+    if (!preset) {
+        throw new Error(`Unknown preset "${name}". Available presets: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    return preset;
+}
+
+// mapping: { preset, tokens: { 'lead.FirstName': 'contact.first_name' }, defaults: { 'lead.FirstName': 'there' } }
+function createTokenTransformer(mapping = {}, presetName) {
+    const name = presetName || mapping.preset;
+    const preset = name ? loadPreset(name) : null;
+    const tokens = mapping.tokens || {};
+    const defaults = mapping.defaults || {};
+
+    // Without a preset there is no syntax to render a bare path or a default in; inserted
+    // verbatim they would turn merge fields into plain text
+    if (!preset) {
+        const barePaths = Object.keys(tokens).filter(token => VARIABLE_PATH.test(tokens[token]));
+        if (barePaths.length > 0) {
+            throw new Error(`Mapping targets for ${barePaths.join(', ')} are bare variable paths, which need a preset to render them. Add "preset" to the mapping file, pass --preset, or write the full merge field (e.g. "{{ contact.first_name }}")`);
+        }
+        if (Object.keys(defaults).length > 0) {
+            throw new Error('"defaults" need a preset to render them. Add "preset" to the mapping file or pass --preset');
+        }
+    }
+
+    // { target, verbatim } for a token, or null when it has no mapping. Only targets from the
+    // mapping file may be used verbatim; the preset's own are always rendered in its syntax.
+    function resolveVariable(namespace, field) {
+        const token = `${namespace}.${field}`;
+        if (tokens[token] !== undefined) {
+            return { target: tokens[token], verbatim: !preset || !VARIABLE_PATH.test(tokens[token]) };
+        }
+        if (!preset) {
+            return null;
+        }
+        if (namespace === 'system') {
+            return preset.system[field] ? { target: preset.system[field], verbatim: false } : null;
+        }
+        if (preset.namespaces[namespace]) {
+            const target = preset.fieldPath(preset.namespaces[namespace], field);
+            return target ? { target, verbatim: false } : null;
+        }
+        return null;
+    }
+
+    // droppedDefaults: tokens inserted verbatim, whose default had nowhere to go
+    function transform(text) {
+        const unmapped = new Map();
+        const droppedDefaults = new Map();
+        let replaced = 0;
+
+        const output = (text || '').replace(createTokenPattern(), (raw, namespace, body) => {
+            const { name: field, defaultValue } = parseTokenBody(body);
+            const token = `${namespace}.${field}`;
+            const resolved = resolveVariable(namespace, field);
+
+            if (resolved === null) {
+                unmapped.set(token, (unmapped.get(token) || 0) + 1);
+                return raw;
+            }
+
+            replaced++;
+            const fallback = defaultValue !== null ? defaultValue : (defaults[token] !== undefined ? defaults[token] : null);
+            if (resolved.verbatim) {
+                if (fallback !== null) {
+                    const key = JSON.stringify([token, fallback]);
+                    const entry = droppedDefaults.get(key) || { token, default: fallback, count: 0 };
+                    entry.count++;
+                    droppedDefaults.set(key, entry);
+                }
+                return resolved.target;
+            }
+            return preset.render(resolved.target, fallback);
+        });
+
+        return { output, replaced, unmapped, droppedDefaults: [...droppedDefaults.values()] };
+    }
+
+    return { transform };
+}
+
+// Rewrite the HTML and text of every exported email into `outputDir`, mirroring the export
+// layout, and write transform-report.json listing the tokens that could not be mapped and
+// the defaults lost to verbatim replacements
+async function transformExport(exportDir, outputDir, mapping, presetName) {
+    const manifest = await ExportManifest.load(exportDir);
+    const items = manifest.doneItems('emails');
+    if (items.length === 0) {
+        throw new Error(`No exported emails found in ${exportDir} (is ${ExportManifest.MANIFEST_FILE} there?)`);
+    }
+
+    const { transform } = createTokenTransformer(mapping, presetName);
+    const unmapped = new Map();
+    const droppedDefaults = new Map();
+    const report = {
+        generatedAt: new Date().toISOString(),
+        preset: presetName || mapping.preset || null,
+        emails: 0,
+        replaced: 0,
+        unmapped: [],
+        droppedDefaults: []
+    };
+
+    for (const item of items) {
+        const targetDir = path.join(outputDir, item.dir);
+        let transformedAny = false;
+
+        for (const fileName of [`${item.id}.html`, `${item.id}.txt`]) {
+            let source;
+            try {
+                source = await fs.readFile(path.join(exportDir, item.dir, fileName), 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            const result = transform(source);
+            await fs.mkdir(targetDir, { recursive: true });
+            await fs.writeFile(path.join(targetDir, fileName), result.output);
+            transformedAny = true;
+            report.replaced += result.replaced;
+
+            for (const [token, count] of result.unmapped) {
+                if (!unmapped.has(token)) {
+                    unmapped.set(token, { token, count: 0, emails: [] });
+                }
+                const entry = unmapped.get(token);
+                entry.count += count;
+                if (!entry.emails.includes(item.id)) {
+                    entry.emails.push(item.id);
+                }
+            }
+
+            for (const dropped of result.droppedDefaults) {
+                const key = JSON.stringify([dropped.token, dropped.default]);
+                if (!droppedDefaults.has(key)) {
+                    droppedDefaults.set(key, { token: dropped.token, default: dropped.default, count: 0, emails: [] });
+                }
+                const entry = droppedDefaults.get(key);
+                entry.count += dropped.count;
+                if (!entry.emails.includes(item.id)) {
+                    entry.emails.push(item.id);
+                }
+            }
+        }
+
+        if (transformedAny) {
+            report.emails++;
+        }
+    }
+
+    report.unmapped = [...unmapped.values()].sort((a, b) => a.token.localeCompare(b.token));
+    report.droppedDefaults = [...droppedDefaults.values()].sort((a, b) => a.token.localeCompare(b.token));
+    await fs.mkdir(outputDir, { recursive: true });
+    const reportPath = path.join(outputDir, 'transform-report.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    return { ...report, reportPath };
+}
+
+module.exports = {
+    PRESETS,
+    createTokenTransformer,
+    transformExport
+};
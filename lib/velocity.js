@@ -0,0 +1,110 @@
+const { findTokens } = require('./tokens');
+const { sanitizePathSegment } = require('./folders');
+
+// Directives that open a block closed by #end; #set stands on its own
+const BLOCK_DIRECTIVES = ['if', 'foreach', 'macro', 'define'];
+const DIRECTIVE_PATTERN = /#\{?(set|if|elseif|else|foreach|macro|define|end)\b\}?/g;
+
+// Markup where a "#" isn't Velocity: style and script contents and tag interiors, where
+// href="#if" or a CSS selector like #end would otherwise look like a directive. Comments
+// are matched so a ">" inside one doesn't end a tag, but are still scanned.
+const MARKUP_PATTERN = /<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<!--[\s\S]*?-->|<\/?[a-zA-Z](?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+
+// Marketo email script tokens have this type in the program tokens API
+const SCRIPT_TOKEN_TYPE = 'script block';
+
+// The text with the markup blanked out, so offsets still line up with the original
+function maskMarkup(text) {
+    return text.replace(MARKUP_PATTERN, markup => (markup.startsWith('<!--') ? markup : ' '.repeat(markup.length)));
+}
+
+// Velocity written straight into the HTML: each top-level #if/#foreach/#macro block
+// through its matching #end, and each #set outside a block. Directives are only looked
+// for in text, but a block's source runs through any markup inside it.
+function findVelocityBlocks(html) {
+    const blocks = [];
+    const text = html || '';
+    const pattern = new RegExp(DIRECTIVE_PATTERN.source, 'g');
+    const masked = maskMarkup(text);
+    let depth = 0;
+    let blockStart = null;
+    let match;
+
+    while ((match = pattern.exec(masked)) !== null) {
+        const directive = match[1];
+
+        if (BLOCK_DIRECTIVES.includes(directive)) {
+            if (depth === 0) {
+                blockStart = match.index;
+            }
+            depth++;
+        } else if (directive === 'end' && depth > 0) {
+            depth--;
+            if (depth === 0) {
+                const end = match.index + match[0].length;
+                blocks.push({ directive: text.slice(blockStart + 1).match(/\w+/)[0], start: blockStart, source: text.slice(blockStart, end) });
+                blockStart = null;
+            }
+        } else if (directive === 'set' && depth === 0) {
+            const lineEnd = text.indexOf('\n', match.index);
+            const end = lineEnd === -1 ? text.length : lineEnd;
+            blocks.push({ directive, start: match.index, source: text.slice(match.index, end).trim() });
+        }
+    }
+
+    // An #if without its #end still gets reported, up to the end of the content
+    if (depth > 0 && blockStart !== null) {
+        blocks.push({ directive: text.slice(blockStart + 1).match(/\w+/)[0], start: blockStart, source: text.slice(blockStart), unclosed: true });
+    }
+
+    return blocks;
+}
+
+// Velocity found in an email: inline blocks, plus the definitions of the {{my.*}} script
+// tokens it uses, looked up in the tokens the email inherits from its folders and program.
+// Returns the .vm files to write and a summary for metadata.json.
+async function collectVelocity(client, asset, html) {
+    const files = {};
+    const summary = { inlineBlocks: 0, scriptTokens: [], unresolvedTokens: [] };
+
+    findVelocityBlocks(html).forEach((block, index) => {
+        files[`inline-velocity-${index + 1}.vm`] = block.source + '\n';
+        summary.inlineBlocks++;
+    });
+
+    const myTokens = [...new Set(findTokens(html)
+        .filter(occurrence => occurrence.namespace === 'my')
+        .map(occurrence => occurrence.name))];
+    if (myTokens.length === 0) {
+        return { files, summary };
+    }
+
+    // Without the folder tokens nothing can be resolved, but the email still exports
+    let available;
+    try {
+        ({ tokens: available } = await client.getInheritedTokens(asset.folder));
+    } catch (error) {
+        summary.unresolvedTokens.push(...myTokens);
+        summary.tokenError = error.message;
+        return { files, summary };
+    }
+
+    for (const name of myTokens) {
+        const definition = available.find(token => token.name === name);
+        if (!definition) {
+            summary.unresolvedTokens.push(name);
+        } else if (definition.type === SCRIPT_TOKEN_TYPE) {
+            const fileName = `my.${sanitizePathSegment(name, 'token')}.vm`;
+            files[fileName] = `${definition.value || ''}\n`;
+            summary.scriptTokens.push({ name, file: fileName });
+        }
+    }
+
+    return { files, summary };
+}
+
+module.exports = {
+    SCRIPT_TOKEN_TYPE,
+    findVelocityBlocks,
+    collectVelocity
+};